@@ -1,4 +1,7 @@
 // api/_health.mjs
+import { getCacheStats } from "../lib/resolver.mjs";
+import { recentRates } from "../lib/metrics.mjs";
+
 export const config = { runtime: "nodejs" };
 
 export default async function handler(req, res) {
@@ -6,7 +9,10 @@ export default async function handler(req, res) {
     res.status(200).json({
       ok: true,
       node: process.version,
-      now: new Date().toISOString()
+      now: new Date().toISOString(),
+      cache: getCacheStats(),
+      // error share per kind (hop, unwrap, bid, upstream) over the last few minutes, this instance
+      errors: recentRates()
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e?.message || e) });
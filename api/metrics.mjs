@@ -0,0 +1,23 @@
+// api/metrics.mjs
+// GET /api/metrics — Prometheus text exposition of this instance's counters (lib/metrics.mjs)
+// plus cache gauges sampled at scrape time.
+import { renderPrometheus } from "../lib/metrics.mjs";
+import { getCacheStats } from "../lib/resolver.mjs";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).send("Method Not Allowed");
+  }
+  const cache = getCacheStats();
+  const labels = { backend: cache.backend };
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).send(renderPrometheus([
+    { name: "cache_entries", help: "Entries in the in-memory cache.", value: cache.entries, labels },
+    { name: "cache_bytes", help: "Bytes held by the in-memory cache.", value: cache.bytes, labels },
+    { name: "cache_connected", help: "1 while the Redis cache has a connection.", value: cache.connected == null ? null : +cache.connected, labels }
+  ]));
+}
@@ -1,12 +1,31 @@
 // api/openrtb2.mjs
 import {
+  resolveToInlineWithMeta,
   unwrapAdmIfWrapper,
-  mergeWrapperImpressionsIntoInlineXml,
+  mergeWrapperNodesIntoInlineXml,
+  VAST_ERROR,
 } from "../lib/resolver.mjs";
+import { findWrapperRecovery } from "../lib/adapters.mjs";
+import { convertVastVersion, isVastVersion } from "../lib/version.mjs";
+import { filterMediaFiles, mediaFiltersFromQuery, mediaFiltersFromImp } from "../lib/media.mjs";
+import { metrics, hostOf, recordOutcome } from "../lib/metrics.mjs";
+import { clientFromBidRequest, privacyFromBidRequest, forwardContext } from "../lib/client.mjs";
+import { recordedFetch, withRecording } from "../lib/replay.mjs";
+import { headerValue } from "../lib/http.mjs";
+import { mergePolicyOverrides, mergePolicyFor } from "../lib/mergepolicy.mjs";
 
 export const config = { runtime: "nodejs" };
 
 const DEBUG = process.env.DEBUG === "1";
+const EXPAND_TRACKING = process.env.MACRO_EXPAND_TRACKING === "1";
+const BID_CONCURRENCY = Number(process.env.BID_CONCURRENCY || 8);
+const DEFAULT_TMAX_MS = Number(process.env.DEFAULT_TMAX_MS || 0);  // used when the request has no tmax; 0 = no deadline
+const TMAX_MARGIN_MS  = Number(process.env.TMAX_MARGIN_MS  || 50); // head-room to serialize and send the response
+const VAST_VERSION    = process.env.VAST_VERSION || "";               // rewrite every VAST adm to this version; empty = as is
+const NO_MEDIA_ACTION = process.env.NO_MEDIA_ACTION || "flag";        // bid left without playable MediaFile: flag | drop
+const NURL_ADM_FETCH  = process.env.NURL_ADM_FETCH === "1";           // also fetch the markup of adm-less bids from their nurl
+const BID_EXT_VAST_PATHS = (process.env.BID_EXT_VAST_PATHS || "vasturl,vast_url,vastUrl,prebid.cache.vastXml.url")
+  .split(",").map(s => s.trim()).filter(Boolean);                     // where SSPs put a VAST URL in bid.ext
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Dynamic upstream resolver (header/query/env + allowlist)
@@ -41,10 +60,14 @@ function getBidEndpoint(req, env = process.env) {
 
 // ─────────────────────────────────────────────────────────────────────────────
 async function readRequestBody(req) {
-  if (req.body && typeof req.body === "object") return req.body;
-  const chunks = [];
-  for await (const chunk of req) chunks.push(chunk);
-  const raw = Buffer.concat(chunks).toString("utf8").trim();
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+  let raw = typeof req.body === "string" || Buffer.isBuffer(req.body) ? String(req.body) : null;
+  if (raw == null) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    raw = Buffer.concat(chunks).toString("utf8");
+  }
+  raw = raw.trim();
   if (!raw) return {};
   try { return JSON.parse(raw); } catch { const e = new Error("Invalid JSON body"); e.statusCode = 400; throw e; }
 }
@@ -64,33 +87,291 @@ function withTimeout(ms = 8000) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Equativ RV derivation (tolerant)
-//  - ssb-use1.smartadserver.com → use1.smartadserver.com
-//  - vastid = bidid, networkId = bidnwid
+// VAST macro values from the bid request (device / user / regs / site / app)
 // ─────────────────────────────────────────────────────────────────────────────
-function deriveEquativRvUrlFromNurl(nurl) {
-  try {
-    const u = new URL(nurl);
-    let host = u.host;
-    if (host.startsWith("ssb-")) host = host.slice(4);
-    const vastid = u.searchParams.get("bidid");
-    const networkId = u.searchParams.get("bidnwid");
-    if (!vastid || !networkId) return null;
-    return `https://${host}/rv?vastid=${encodeURIComponent(vastid)}&networkId=${encodeURIComponent(networkId)}`;
-  } catch {
-    return null;
+function macrosFromBidRequest(br, req) {
+  const d = br?.device || {};
+  const u = br?.user || {};
+  const r = br?.regs || {};
+  const gdpr = r.gdpr ?? r.ext?.gdpr;
+  const ip = d.ip || d.ipv6;
+  return {
+    DEVICEUA: d.ua || req.headers?.["user-agent"],
+    IPADDRESS: ip,
+    DEVICEIP: ip,
+    IFA: d.ifa,
+    IFATYPE: d.ext?.ifa_type,
+    LIMITADTRACKING: d.lmt,
+    LATLONG: d.geo?.lat != null && d.geo?.lon != null ? `${d.geo.lat},${d.geo.lon}` : undefined,
+    GDPRCONSENT: u.consent ?? u.ext?.consent,
+    REGULATIONS: [Number(gdpr) === 1 && "gdpr", Number(r.coppa) === 1 && "coppa"].filter(Boolean).join(","),
+    GPPSTRING: r.gpp,
+    GPPSECTIONID: Array.isArray(r.gpp_sid) ? r.gpp_sid.join(",") : undefined,
+    APPBUNDLE: br?.app?.bundle,
+    DOMAIN: br?.site?.domain || br?.app?.domain,
+    PAGEURL: br?.site?.page,
+    TRANSACTIONID: br?.source?.tid ?? br?.source?.ext?.tid,
+    BLOCKEDADCATEGORIES: Array.isArray(br?.bcat) ? br.bcat.join(",") : undefined
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Adm-less bids: the markup is served by the nurl (OpenRTB 2.5 §4.3) or a VAST URL in bid.ext.
+// Auction macros (§4.4) in that URL are filled in before the fetch. The clearing price is
+// not known yet: ${AUCTION_PRICE} gets the bid price (what a first-price auction clears at);
+// macros we have no value for become empty. The returned markup keeps its own macros for the
+// exchange to fill at win time. A bid.ext VAST URL is always fetched; the nurl only with
+// NURL_ADM_FETCH=1, since many bidders count that fetch as the win notice. The expanded URL is
+// for this bid alone: neither it nor its chain is cached (see resolveToInlineWithMeta `oneOff`).
+// ─────────────────────────────────────────────────────────────────────────────
+const hasAdm = b => typeof b?.adm === "string" && b.adm.trim() !== "";
+const dig = (obj, path) => path.split(".").reduce((o, k) => (o == null ? o : o[k]), obj);
+
+// → { from: "nurl" | "ext.<path>", url } or null
+function admSourceOf(b) {
+  if (hasAdm(b)) return null;
+  for (const path of BID_EXT_VAST_PATHS) {
+    const url = dig(b?.ext, path);
+    if (typeof url === "string" && /^https?:\/\//i.test(url.trim())) return { from: `ext.${path}`, url: url.trim() };
+  }
+  if (NURL_ADM_FETCH && typeof b?.nurl === "string" && /^https?:\/\//i.test(b.nurl.trim())) return { from: "nurl", url: b.nurl.trim() };
+  return null;
+}
+
+const AUCTION_MACROS = [
+  "AUCTION_ID", "AUCTION_BID_ID", "AUCTION_IMP_ID", "AUCTION_SEAT_ID", "AUCTION_AD_ID", "AUCTION_PRICE",
+  "AUCTION_CURRENCY", "AUCTION_MBR", "AUCTION_LOSS", "AUCTION_MIN_TO_WIN", "AUCTION_MULTIPLIER", "AUCTION_IMP_TS"
+];
+function auctionMacros(bidResp, seat, b) {
+  return {
+    AUCTION_ID: bidResp?.id,
+    AUCTION_BID_ID: bidResp?.bidid ?? b?.id,
+    AUCTION_IMP_ID: b?.impid,
+    AUCTION_SEAT_ID: seat,
+    AUCTION_AD_ID: b?.adid,
+    AUCTION_PRICE: b?.price,
+    AUCTION_CURRENCY: bidResp?.cur || "USD",
+    AUCTION_IMP_TS: Date.now()
+  };
+}
+
+// ${MACRO} and its URL-encoded form %24%7BMACRO%7D
+function expandAuctionMacros(url, values) {
+  return url.replace(/\$\{([A-Z_]+)\}|%24%7B([A-Z_]+)%7D/gi, (m, a, b) => {
+    const name = (a || b).toUpperCase();
+    if (!AUCTION_MACROS.includes(name)) return m;
+    return values[name] == null ? "" : encodeURIComponent(String(values[name]));
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// imp.video.protocols → highest VAST version the player takes (OpenRTB 2.6 list 5.8)
+// ─────────────────────────────────────────────────────────────────────────────
+const PROTOCOL_VERSIONS = { 2: "2.0", 5: "2.0", 3: "3.0", 6: "3.0", 7: "4.0", 8: "4.0", 11: "4.1", 12: "4.1", 13: "4.2", 14: "4.2" };
+function maxVastVersionOf(imp) {
+  const versions = (Array.isArray(imp?.video?.protocols) ? imp.video.protocols : []).map(p => PROTOCOL_VERSIONS[p]).filter(Boolean);
+  return versions.length ? versions.sort((a, b) => Number(b) - Number(a))[0] : null;
+}
+const admVersionOf = adm => /<VAST\b[^>]*\bversion\s*=\s*["']([\d.]+)["']/.exec(adm)?.[1] || null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Per-bid unwrap + SSP wrapper merge (adapters: lib/adapters.mjs). Works on a copy of the bid: the caller only applies
+// the result if it arrives before the auction deadline. Nothing here fires <Error> pixels: the bid has not won or been
+// served yet (and a failed bid keeps its wrapper adm, so the player reports the same error); the pixels of failed hops
+// are listed in ext.unwrap.errorPixels instead.
+// ─────────────────────────────────────────────────────────────────────────────
+const pixelsOf = errorPixels => (errorPixels?.length ? { errorPixels } : {});
+async function processBid(bid, { seat, imp, bidResp, macros, headers, personalData, expandTracking, fidelity, mergeOverrides, version, mediaFilters, debug }) {
+  const b = { ...bid, ext: bid.ext ? { ...bid.ext } : bid.ext };
+  const out = { bid: b, replaced: false, cacheHit: false, mergedImps: false, unusable: false, debug: null };
+  const source = admSourceOf(b);
+  // partner merge policy by seat / markup host (MERGE_POLICY_PARTNERS), ?merge=… on top
+  const mergePolicy = mergePolicyFor({ url: source?.url || b.nurl, seat }, mergeOverrides);
+
+  // ── STEP 0: no adm → fetch (and unwrap) the VAST the nurl / bid.ext points at
+  let didUnwrap = false;
+  if (source) {
+    const url = expandAuctionMacros(source.url, auctionMacros(bidResp, seat, b));
+    try {
+      const { xml, depth, cached, ads, errorPixels } = await resolveToInlineWithMeta(url, { macros, headers, personalData, expandTracking, fidelity, mergePolicy, vmap: false, oneOff: true, firePixels: false });
+      b.adm = xml;
+      didUnwrap = true;
+      out.replaced = true;
+      if (cached === "hit" || cached === "stale") out.cacheHit = true;
+      b.ext = { ...(b.ext || {}), unwrap: { admSource: source.from, depth, cached, ...(ads.length > 1 || ads.some(a => a.error) ? { ads } : {}), ...pixelsOf(errorPixels) } };
+      out.debug = { mode: "adm-from-url", source: source.from, depth, cached };
+    } catch (e) {
+      // leave the bid as it came: the exchange can still serve it from the nurl
+      const vastCode = e?.vastCode || VAST_ERROR.UNDEFINED;
+      b.ext = { ...(b.ext || {}), unwrap: { admSource: source.from, depth: -1, cached: "n/a", error: "adm-fetch-failed", vastCode, ...(e?.blocked ? { blocked: e.blocked } : {}), ...pixelsOf(e?.errorPixels) } };
+      out.debug = { mode: "adm-from-url", source: source.from, vastCode, error: e?.message || String(e) };
+    }
+  }
+
+  // ── STEP A: unwrap if it's a Wrapper
+  if (!source && b.adm.includes("<Wrapper")) {
+    try {
+      const { adm, replaced, depth, cached, ads, errorPixels } = await unwrapAdmIfWrapper(b.adm, { macros, headers, personalData, expandTracking, fidelity, mergePolicy, firePixels: false });
+      if (replaced) {
+        b.adm = adm;
+        didUnwrap = true;
+        out.replaced = true;
+        if (cached === "hit") out.cacheHit = true;
+        b.ext = { ...(b.ext || {}), unwrap: { depth, cached, ...(ads.length > 1 || ads.some(a => a.error) ? { ads } : {}), ...pixelsOf(errorPixels) } };
+        out.debug = { mode: "unwrap", depth, cached };
+      } else {
+        out.debug = { mode: "unwrap", depth: 0, cached: "miss" };
+      }
+    } catch (e) {
+      // keep the original wrapper adm; the player can still try the chain itself
+      const vastCode = e?.vastCode || VAST_ERROR.UNDEFINED;
+      b.ext = { ...(b.ext || {}), unwrap: { depth: -1, cached: "n/a", error: "unwrap-failed", vastCode, ...(e?.blocked ? { blocked: e.blocked } : {}), ...pixelsOf(e?.errorPixels) } };
+      out.debug = { mode: "unwrap", vastCode, error: e?.message || String(e) };
+    }
+  }
+
+  // ── STEP B: ALWAYS try the SSP wrapper merge if final adm is Inline and nurl present
+  if (b.nurl && typeof b.adm === "string" && b.adm.includes("<InLine")) {
+    let recovery = null, configError = null;
+    try { recovery = findWrapperRecovery(b, { seat }); } catch (e) { configError = e; }
+    const adapter = recovery?.adapter;
+    const rvUrl = recovery?.url;
+    if (rvUrl) {
+      try {
+        const beforeXml = b.adm;
+        const { xml: mergedXml, stats } = await mergeWrapperNodesIntoInlineXml(beforeXml, rvUrl, { nodes: recovery.merge, debug, fidelity, headers, mergePolicy });
+        const changed = Boolean(mergedXml && typeof mergedXml === "string" && mergedXml !== beforeXml);
+
+        if (changed) {
+          b.adm = mergedXml;
+          out.mergedImps = true;
+        }
+
+        // Annotate the bid.ext.unwrap with the outcome + counts
+        b.ext = {
+          ...(b.ext || {}),
+          unwrap: {
+            ...(b.ext?.unwrap || {}),
+            mergedWrapperImps: changed,
+            adapter,
+            rvUrl,
+            mergedNodes: stats?.mergedNodes,
+            rvHasWrapper: stats?.rvHasWrapper,
+            rvHasInline: stats?.rvHasInline,
+            rvImpCount: stats?.rvImpCount,
+            targetImpBefore: stats?.targetImpBefore,
+            targetImpAfter: stats?.targetImpAfter,
+            reason: changed ? undefined : "no-change"
+          }
+        };
+
+        // richer response header when debug=1 (lastDebug)
+        out.debug = {
+          mode: "merge-wrapper-imps",
+          adapter,
+          rvUrl,
+          merged: changed,
+          afterUnwrap: didUnwrap,
+          mergedNodes: stats?.mergedNodes,
+          rvHasWrapper: stats?.rvHasWrapper,
+          rvHasInline: stats?.rvHasInline,
+          rvImpCount: stats?.rvImpCount,
+          targetImpBefore: stats?.targetImpBefore,
+          targetImpAfter: stats?.targetImpAfter,
+          wrapperSnippet: debug ? stats?.wrapperSnippet : undefined
+        };
+      } catch (e) {
+        b.ext = {
+          ...(b.ext || {}),
+          unwrap: { ...(b.ext?.unwrap || {}), mergedWrapperImps: false, adapter, rvUrl, reason: "rv-fetch-or-merge-failed" }
+        };
+        out.debug = { mode: "merge-wrapper-imps", adapter, rvUrl, error: e?.message || String(e), afterUnwrap: didUnwrap };
+      }
+    } else {
+      // no adapter for this bid, its wrapper URL template could not be filled, or SSP_ADAPTERS is broken
+      const reason = configError ? "adapter-config-error" : adapter ? "rv-url-not-derived" : "no-adapter";
+      b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), mergedWrapperImps: false, adapter, reason } };
+      out.debug = { mode: "merge-wrapper-imps", adapter, rvUrl: null, reason, error: configError?.message, afterUnwrap: didUnwrap };
+    }
   }
+
+  // ── STEP C: MediaFiles the player cannot use (request filters + imp.video)
+  if (typeof b.adm === "string" && b.adm.includes("<MediaFile")) {
+    try {
+      const media = filterMediaFiles(b.adm, mediaFiltersFromImp(imp, mediaFilters), { fidelity });
+      if (!media.usable) {
+        out.unusable = true;
+        b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), noUsableMedia: true, vastCode: VAST_ERROR.MEDIA_UNSUPPORTED, mediaRemoved: media.removed } };
+      } else if (media.removed) {
+        b.adm = media.xml;
+        b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), mediaRemoved: media.removed, ...(media.droppedAds ? { adsDropped: media.droppedAds } : {}) } };
+      }
+    } catch (e) {
+      b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), mediaError: e?.message || String(e) } };
+    }
+  }
+
+  // ── STEP D: rewrite for the player's VAST version (after merges, which may add 4.x nodes);
+  // without an explicit one, only down to what imp.video.protocols allows
+  if (!version) {
+    const max = maxVastVersionOf(imp);
+    const current = admVersionOf(b.adm);
+    if (max && current && Number(current) > Number(max)) version = max;
+  }
+  if (version && typeof b.adm === "string" && b.adm.includes("<VAST")) {
+    try {
+      const converted = convertVastVersion(b.adm, version, { fidelity });
+      if (converted !== b.adm) {
+        b.adm = converted;
+        b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), vastVersion: version } };
+      }
+    } catch (e) {
+      b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), vastVersion: null, versionError: e?.message || String(e) } };
+    }
+  }
+
+  return out;
+}
+
+// what happened to a bid, from its ext.unwrap (the same vocabulary, for /api/metrics)
+function recordBid(b, { replaced, unusable }) {
+  const u = b.ext?.unwrap || {};
+  const outcome = u.timedOut ? "deadline-exceeded" : u.error || (unusable ? "no-usable-media" : replaced ? (u.admSource ? "adm-from-url" : "unwrapped") : "passthrough");
+  metrics.bidOutcomes.inc({ outcome });
+  recordOutcome("bid", !u.error && !u.timedOut && !unusable);
+  if (u.mergedWrapperImps != null) metrics.rvMerges.inc({ adapter: u.adapter || "none", reason: u.reason || (u.mergedWrapperImps ? "merged" : "unknown") });
+}
+
+// run fn over items, at most `limit` at a time
+async function mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => { while (next < items.length) { const i = next++; await fn(items[i], i); } };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Handler
 // ─────────────────────────────────────────────────────────────────────────────
-export default async function handler(req, res) {
+async function handler(req, res) {
   try { setCors(res, req); } catch {}
   if (req.method === "OPTIONS") return res.status(204).end();
   if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
 
+  const startedAt = Date.now();
   const debug = DEBUG || String(req.query?.debug || "").toLowerCase() === "1";
+  const expandTracking = EXPAND_TRACKING || String(req.query?.expandTracking || "") === "1";
+  // ?fidelity=1|0 overrides XML_FIDELITY (lossless adm)
+  const fidelity = req.query?.fidelity != null ? String(req.query.fidelity) === "1" : undefined;
+  const version = String(req.query?.version || VAST_VERSION);
+  if (version && !isVastVersion(version)) {
+    return res.status(400).json({ error: { code: "400", message: `Unsupported VAST version "${version}"` } });
+  }
+  const mediaFilters = mediaFiltersFromQuery(k => req.query?.[k]);
+  // ?merge=…&volatileParams=…&origin=… (lib/mergepolicy.mjs)
+  let mergeOverrides;
+  try { mergeOverrides = mergePolicyOverrides(k => (req.query?.[k] == null ? null : String(req.query[k]))); }
+  catch (e) { return res.status(400).json({ error: { code: "400", message: e.message } }); }
+  const dropNoMedia = String(req.query?.noMedia || NO_MEDIA_ACTION).toLowerCase() === "drop";
 
   let upstreamUrl;
   try { upstreamUrl = getBidEndpoint(req); }
@@ -102,10 +383,15 @@ export default async function handler(req, res) {
 
   const timeoutMs = Number(process.env.UPSTREAM_TIMEOUT_MS || 8000);
   const { signal, cancel } = withTimeout(timeoutMs);
+  const upstream = { host: hostOf(upstreamUrl), startedAt: Date.now() };
+  const observeUpstream = (status, ok) => {
+    metrics.upstreamDuration.observe({ host: upstream.host, status }, (Date.now() - upstream.startedAt) / 1000);
+    recordOutcome("upstream", ok);
+  };
 
   try {
     // 1) Upstream OpenRTB
-    const upstreamResp = await fetch(upstreamUrl, {
+    const upstreamResp = await recordedFetch(upstreamUrl, {
       method: "POST",
       signal,
       headers: {
@@ -114,10 +400,12 @@ export default async function handler(req, res) {
         "user-agent": req.headers["user-agent"] || "VAST-Unwrapper/1.2",
       },
       body: JSON.stringify(bodyJson),
-    });
+    }, (url, init) => fetch(url, init));
 
     const ct = upstreamResp.headers.get("content-type") || "application/json; charset=utf-8";
     let bidRespText = await upstreamResp.text();
+    observeUpstream(String(upstreamResp.status), upstreamResp.ok);
+    upstream.observed = true;
 
     if (!ct.includes("json")) {
       res.status(upstreamResp.status).setHeader("content-type", ct);
@@ -129,93 +417,64 @@ export default async function handler(req, res) {
     catch { res.status(upstreamResp.status).setHeader("content-type", ct); return res.send(bidRespText); }
 
     // 2) Unwrap / Merge
+    // device context + consent signals for the hops, identifiers withheld as consent requires
+    const { macros, headers, withheld, personalData } = forwardContext(clientFromBidRequest(bodyJson), privacyFromBidRequest(bodyJson), macrosFromBidRequest(bodyJson, req));
+    if (withheld) res.setHeader("X-Unwrap-Withheld", withheld);
     let anyReplaced = false;
     let anyCacheHit = false;
     let anyMergedWrapperImps = false;
     let lastDebug = { mode: "passthrough" };
 
-    if (Array.isArray(bidResp?.seatbid)) {
-      for (const sb of bidResp.seatbid) {
-        for (const b of (sb?.bid || [])) {
-          if (typeof b.adm !== "string") continue;
-
-          // ── STEP A: unwrap if it's a Wrapper
-          let didUnwrap = false;
-          if (b.adm.includes("<Wrapper")) {
-            try {
-              const { adm, replaced, depth, cached } = await unwrapAdmIfWrapper(b.adm);
-              if (replaced) {
-                b.adm = adm;
-                didUnwrap = true;
-                anyReplaced = true;
-                if (cached === "hit") anyCacheHit = true;
-                b.ext = { ...(b.ext || {}), unwrap: { depth, cached } };
-                lastDebug = { mode: "unwrap", depth, cached };
-              } else {
-                lastDebug = { mode: "unwrap", depth: 0, cached: "miss" };
-              }
-            } catch (e) {
-              b.ext = { ...(b.ext || {}), unwrap: { depth: -1, cached: "n/a", error: "unwrap-failed" } };
-              lastDebug = { mode: "unwrap", error: e?.message || String(e) };
-            }
-          }
+    const imps = new Map((Array.isArray(bodyJson?.imp) ? bodyJson.imp : []).map(imp => [String(imp?.id), imp]));
+    const unusable = new Set();
+    const bids = (Array.isArray(bidResp?.seatbid) ? bidResp.seatbid : [])
+      .flatMap(sb => (sb?.bid || []).map(b => ({ b, seat: sb.seat })))
+      .filter(({ b }) => typeof b?.adm === "string" || admSourceOf(b));
 
-          // ── STEP B: ALWAYS try RV merge if final adm is Inline and nurl present
-          if (b.nurl && typeof b.adm === "string" && b.adm.includes("<InLine")) {
-            const rvUrl = deriveEquativRvUrlFromNurl(b.nurl);
-            if (rvUrl) {
-              try {
-                const beforeXml = b.adm;
-                const { xml: mergedXml, stats } = await mergeWrapperImpressionsIntoInlineXml(beforeXml, rvUrl, { debug });
-                const changed = Boolean(mergedXml && typeof mergedXml === "string" && mergedXml !== beforeXml);
-
-                if (changed) {
-                  b.adm = mergedXml;
-                  anyMergedWrapperImps = true;
-                }
-
-                // Annotate the bid.ext.unwrap with the outcome + counts
-                b.ext = {
-                  ...(b.ext || {}),
-                  unwrap: {
-                    ...(b.ext?.unwrap || {}),
-                    mergedWrapperImps: changed,
-                    rvUrl,
-                    rvHasWrapper: stats?.rvHasWrapper,
-                    rvHasInline: stats?.rvHasInline,
-                    rvImpCount: stats?.rvImpCount,
-                    targetImpBefore: stats?.targetImpBefore,
-                    targetImpAfter: stats?.targetImpAfter,
-                    reason: changed ? undefined : "no-change"
-                  }
-                };
-
-                // richer response header when debug=1 (lastDebug)
-                lastDebug = {
-                  mode: "merge-wrapper-imps",
-                  rvUrl,
-                  merged: changed,
-                  afterUnwrap: didUnwrap,
-                  rvHasWrapper: stats?.rvHasWrapper,
-                  rvHasInline: stats?.rvHasInline,
-                  rvImpCount: stats?.rvImpCount,
-                  targetImpBefore: stats?.targetImpBefore,
-                  targetImpAfter: stats?.targetImpAfter,
-                  wrapperSnippet: debug ? stats?.wrapperSnippet : undefined
-                };
-              } catch (e) {
-                b.ext = {
-                  ...(b.ext || {}),
-                  unwrap: { ...(b.ext?.unwrap || {}), mergedWrapperImps: false, rvUrl, reason: "rv-fetch-or-merge-failed" }
-                };
-                lastDebug = { mode: "merge-wrapper-imps", rvUrl, error: e?.message || String(e), afterUnwrap: didUnwrap };
-              }
-            } else {
-              b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), mergedWrapperImps: false, reason: "rv-url-not-derived" } };
-              lastDebug = { mode: "merge-wrapper-imps", rvUrl: null, reason: "rv-url-not-derived", afterUnwrap: didUnwrap };
-            }
-          }
-        }
+    // one deadline for all bids, from the auction's tmax (minus what the upstream call used)
+    const tmax = Number(bodyJson?.tmax) || DEFAULT_TMAX_MS;
+    const deadline = tmax > 0 ? startedAt + tmax - TMAX_MARGIN_MS : Infinity;
+    const debugs = new Array(bids.length).fill(null);
+    let timedOut = 0;
+    // out of budget: keep the original adm, say so
+    const expire = (b, idx) => {
+      timedOut++;
+      b.ext = { ...(b.ext || {}), unwrap: { ...(b.ext?.unwrap || {}), timedOut: true, reason: "deadline-exceeded", budgetMs: Math.round(deadline - startedAt) } };
+      debugs[idx] = { mode: "deadline-exceeded" };
+      recordBid(b, {});
+    };
+
+    await mapLimit(bids, BID_CONCURRENCY, async ({ b, seat }, idx) => {
+      const left = deadline - Date.now();
+      if (left <= 0) return expire(b, idx);
+      const work = processBid(b, { seat, imp: imps.get(String(b.impid)), bidResp, macros, headers, personalData, expandTracking, fidelity, mergeOverrides, version, mediaFilters, debug })
+        .catch(e => ({ bid: b, debug: { mode: "error", error: e?.message || String(e) } }));
+      let timer;
+      const expired = new Promise(resolve => { timer = left === Infinity ? null : setTimeout(resolve, left, null); });
+      const out = await Promise.race([work, expired]);
+      clearTimeout(timer);
+
+      if (!out) return expire(b, idx);
+      b.adm = out.bid.adm;
+      b.ext = out.bid.ext;
+      if (out.replaced) anyReplaced = true;
+      if (out.cacheHit) anyCacheHit = true;
+      if (out.mergedImps) anyMergedWrapperImps = true;
+      if (out.unusable) unusable.add(b);
+      debugs[idx] = out.debug;
+      recordBid(b, out);
+    });
+    lastDebug = debugs.filter(Boolean).pop() || lastDebug;
+    if (timedOut) res.setHeader("X-Unwrap-Timed-Out", String(timedOut));
+
+    // bids we could not render: stop bidding with them, or leave them flagged in ext.unwrap
+    if (unusable.size) {
+      res.setHeader("X-Unwrap-No-Media", String(unusable.size));
+      if (dropNoMedia) {
+        bidResp.seatbid = bidResp.seatbid
+          .map(sb => ({ ...sb, bid: (sb?.bid || []).filter(b => !unusable.has(b)) }))
+          .filter(sb => sb.bid.length);
+        if (!bidResp.seatbid.length) return res.status(204).end(); // OpenRTB no-bid
       }
     }
 
@@ -223,15 +482,21 @@ export default async function handler(req, res) {
     res.setHeader("X-Unwrap", (anyReplaced || anyMergedWrapperImps) ? "inline" : "passthrough");
     res.setHeader("X-Unwrap-Cache", anyCacheHit ? "hit" : "miss");
     if (debug && lastDebug) {
-      res.setHeader("X-Unwrap-Debug", JSON.stringify(lastDebug));
+      res.setHeader("X-Unwrap-Debug", headerValue(JSON.stringify(lastDebug)));
     }
 
     return res.status(upstreamResp.status).json(bidResp);
   } catch (e) {
     const aborted = e?.name === "AbortError";
+    if (!upstream.observed) {
+      observeUpstream(aborted ? "timeout" : "error", false);
+      if (aborted) metrics.upstreamTimeouts.inc({ host: upstream.host });
+    }
     const msg = aborted ? `Upstream request timed out after ${timeoutMs}ms` : (e.message || String(e));
     return res.status(aborted ? 504 : 502).json({ error: { code: String(aborted ? 504 : 502), message: msg } });
   } finally {
     cancel();
   }
 }
+
+export default withRecording("openrtb2", handler);
@@ -0,0 +1,44 @@
+// api/trace.mjs
+// GET /api/trace?url=<tag>[&cache=1][&xml=1] — hop-by-hop JSON of one unwrap, for ad-ops:
+// status / latency / size of every hop, what each wrapper added, and where every pixel of the
+// final ad came from. Same macros and merge policy as /api/unwrap; nothing is fired, the cache is
+// skipped by default.
+import { traceUnwrap } from "../lib/resolver.mjs";
+import { withRecording } from "../lib/replay.mjs";
+import { mergePolicyFor } from "../lib/mergepolicy.mjs";
+import { forwardingFromRequest, mergeOverridesFromRequest } from "../lib/request.mjs";
+
+export const config = { runtime: "nodejs" };
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).send("Method Not Allowed");
+  }
+
+  const { searchParams } = new URL(req.url, `https://${req.headers.host}`);
+  const url = searchParams.get("url");
+  if (!url) return res.status(400).json({ error: { code: "400", message: "missing ?url=" } });
+  let overrides;
+  try { overrides = mergeOverridesFromRequest(searchParams); } catch (e) {
+    return res.status(400).json({ error: { code: "400", message: e.message } });
+  }
+
+  try {
+    const { macros, headers, personalData } = forwardingFromRequest(req, searchParams);
+    const trace = await traceUnwrap(url, {
+      macros,
+      headers,
+      personalData,
+      mergePolicy: mergePolicyFor({ url }, overrides),
+      useCache: searchParams.get("cache") === "1",
+      withXml: searchParams.get("xml") === "1"
+    });
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(trace);
+  } catch (e) {
+    return res.status(500).json({ error: { code: "500", message: e?.message || String(e) } });
+  }
+}
+
+export default withRecording("trace", handler);
@@ -1,9 +1,55 @@
 // api/unwrap.mjs
-import { resolveToInlineWithMeta } from "../lib/resolver.mjs";
+// GET  /api/unwrap?url=<tag>   → the resolved Inline VAST (XML)
+// POST /api/unwrap             → batch: JSON body [item, …] or { items: [item, …], format }
+//   item: a tag URL, raw VAST XML, or { id, url } / { id, vast }; resolved concurrently
+//   → { items: [{ index, id, input, ok, depth, cached, ads, errorPixels, xml | model, error }] }
+//   format=json (query or body) returns lib/model.mjs' ad model instead of XML.
+//   A batch is a bulk check, not ad requests: <Error> pixels are listed per item, not fired.
+// Query options (version, media filters, macros, fidelity, merge policy …) apply to every item alike;
+// partner merge policies (MERGE_POLICY_PARTNERS) are matched per tag URL.
+import { resolveToInlineWithMeta, unwrapAdmIfWrapper, noAdVast, VAST_ERROR } from "../lib/resolver.mjs";
+import { convertVastVersion, isVastVersion, VAST_VERSIONS } from "../lib/version.mjs";
+import { filterMediaFiles, mediaFiltersFromQuery } from "../lib/media.mjs";
+import { adModel } from "../lib/model.mjs";
+import { metrics, recordOutcome } from "../lib/metrics.mjs";
+import { withRecording } from "../lib/replay.mjs";
+import { headerValue } from "../lib/http.mjs";
+import { mergePolicyFor } from "../lib/mergepolicy.mjs";
+import { forwardingFromRequest, mergeOverridesFromRequest, readRequestBody } from "../lib/request.mjs";
 
-export default async function handler(req, res) {
+const EXPAND_TRACKING   = process.env.MACRO_EXPAND_TRACKING === "1";
+const VAST_VERSION      = process.env.VAST_VERSION || ""; // default output version; empty = as resolved
+const BATCH_MAX_ITEMS   = Number(process.env.BATCH_MAX_ITEMS   || 500);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 8);
+const BATCH_MAX_BYTES   = Number(process.env.BATCH_MAX_BYTES   || 5_242_880);
+
+// resolver options shared by GET and batch items
+const resolveOptions = (req, searchParams, { macros, headers, personalData } = forwardingFromRequest(req, searchParams)) => ({
+  macros,
+  headers,
+  personalData,
+  expandTracking: EXPAND_TRACKING || searchParams.get("expandTracking") === "1",
+  // ?fidelity=1|0 overrides XML_FIDELITY (lossless output)
+  fidelity: searchParams.has("fidelity") ? searchParams.get("fidelity") === "1" : undefined
+});
+
+function countOutcome(handler, code = null) {
+  metrics.unwrapOutcomes.inc({ handler, outcome: code == null ? "ok" : String(code) });
+  recordOutcome("unwrap", code == null);
+}
+
+function filterMedia(xml, searchParams, fidelity) {
+  const media = filterMediaFiles(xml, mediaFiltersFromQuery(k => searchParams.get(k)), { fidelity });
+  if (!media.usable) {
+    throw Object.assign(new Error(`No playable MediaFile left (${media.removed} removed by filters)`), { vastCode: VAST_ERROR.MEDIA_UNSUPPORTED });
+  }
+  return media;
+}
+
+async function handler(req, res) {
+  if (req.method === "POST") return batchHandler(req, res);
   if (req.method !== "GET") {
-    res.setHeader("Allow", "GET");
+    res.setHeader("Allow", "GET, POST");
     return res.status(405).send("Method Not Allowed");
   }
 
@@ -11,14 +57,120 @@ export default async function handler(req, res) {
   const { searchParams } = new URL(req.url, `https://${req.headers.host}`);
   const url = searchParams.get("url");
   if (!url) return res.status(400).send("missing ?url=");
+  const version = searchParams.get("version") || VAST_VERSION;
+  if (version && !isVastVersion(version)) return res.status(400).send(`unsupported ?version= (one of ${VAST_VERSIONS.join(", ")})`);
 
+  let overrides;
+  try { overrides = mergeOverridesFromRequest(searchParams); } catch (e) { return res.status(400).send(e.message); }
+
+  const forwarding = forwardingFromRequest(req, searchParams);
+  if (forwarding.withheld) res.setHeader("X-Unwrap-Withheld", forwarding.withheld);
+  const opts = resolveOptions(req, searchParams, forwarding);
   try {
-    const { xml, depth, cached } = await resolveToInlineWithMeta(url);
+    const { xml, depth, cached, ads, breaks } = await resolveToInlineWithMeta(url, { ...opts, mergePolicy: mergePolicyFor({ url }, overrides) });
+    const media = filterMedia(xml, searchParams, opts.fidelity);
     res.setHeader("Content-Type", "application/xml");
+    if (version) res.setHeader("X-Unwrap-Version", version);
     res.setHeader("X-Unwrap-Depth", String(depth));
     res.setHeader("X-Unwrap-Cache", cached);
-    return res.status(200).send(xml);
+    res.setHeader("X-Unwrap-Ads", `${ads.filter(a => !a.error).length}/${ads.length}`);
+    if (media.removed) res.setHeader("X-Unwrap-Media-Removed", String(media.removed));
+    if (breaks) res.setHeader("X-Unwrap-Breaks", `${breaks.filter(b => b.source && !b.error && !b.skipped).length}/${breaks.length}`);
+    countOutcome("unwrap");
+    return res.status(200).send(version ? convertVastVersion(media.xml, version, { fidelity: opts.fidelity }) : media.xml);
   } catch (e) {
-    return res.status(500).send(String(e));
+    // Broken chain → a "no ad" VAST players understand; wrapper <Error> pixels already fired.
+    const code = e?.vastCode || VAST_ERROR.UNDEFINED;
+    countOutcome("unwrap", code);
+    res.setHeader("Content-Type", "application/xml");
+    res.setHeader("X-Unwrap-Error-Code", String(code));
+    res.setHeader("X-Unwrap-Error", headerValue(String(e?.message || e).slice(0, 200)));
+    if (e?.blocked) res.setHeader("X-Unwrap-Blocked", headerValue(JSON.stringify(e.blocked)));
+    return res.status(200).send(noAdVast(version || undefined));
   }
 }
+
+export default withRecording("unwrap", handler);
+
+// ───── batch (POST) ─────────────────────────────────────────────────────────
+// item → { input: "url" | "vast", value, id }; null when it is neither
+function batchItem(item) {
+  const { id, url, vast } = typeof item === "string" ? {} : item || {};
+  const value = typeof item === "string" ? item.trim() : typeof url === "string" ? url.trim() : typeof vast === "string" ? vast.trim() : "";
+  const input = value.startsWith("<") ? "vast" : /^https?:\/\//i.test(value) ? "url" : null;
+  return input ? { input, value, ...(id != null ? { id } : {}) } : null;
+}
+
+// runs fn over items with at most `limit` in flight, results in input order
+async function mapConcurrent(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const k = next++;
+      out[k] = await fn(items[k], k);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+async function batchHandler(req, res) {
+  const fail = (status, message) => res.status(status).json({ error: { code: String(status), message } });
+  const { searchParams } = new URL(req.url, `https://${req.headers.host}`);
+
+  let body;
+  try {
+    body = await readRequestBody(req, BATCH_MAX_BYTES);
+    if (typeof body === "string") body = JSON.parse(body);
+  } catch (e) {
+    return fail(e.statusCode || 400, e.statusCode ? e.message : "body must be JSON: [item, …] or { items: [item, …] }");
+  }
+  const list = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(list) || !list.length) return fail(400, "no items");
+  if (list.length > BATCH_MAX_ITEMS) return fail(413, `at most ${BATCH_MAX_ITEMS} items per request`);
+
+  const format = String(searchParams.get("format") || body?.format || "xml").toLowerCase();
+  if (!["xml", "json"].includes(format)) return fail(400, "unsupported format (xml or json)");
+  const version = searchParams.get("version") || VAST_VERSION;
+  if (version && !isVastVersion(version)) return fail(400, `unsupported ?version= (one of ${VAST_VERSIONS.join(", ")})`);
+
+  let overrides;
+  try { overrides = mergeOverridesFromRequest(searchParams); } catch (e) { return fail(400, e.message); }
+
+  const opts = { ...resolveOptions(req, searchParams), origins: format === "json", firePixels: false };
+  const items = await mapConcurrent(list, BATCH_CONCURRENCY, async (raw, index) => {
+    const item = batchItem(raw);
+    if (!item) return { index, ok: false, error: { code: VAST_ERROR.UNDEFINED, message: "item is neither a tag URL nor VAST XML" } };
+    const { input, value, id } = item;
+    const head = { index, ...(id != null ? { id } : {}), input };
+    try {
+      const mergePolicy = mergePolicyFor({ url: input === "url" ? value : null }, overrides);
+      const meta = input === "url"
+        ? await resolveToInlineWithMeta(value, { ...opts, mergePolicy })
+        : await unwrapAdmIfWrapper(value, { ...opts, mergePolicy }).then(r => ({ ...r, xml: r.adm }));
+      const media = filterMedia(meta.xml, searchParams, opts.fidelity);
+      const xml = version ? convertVastVersion(media.xml, version, { fidelity: opts.fidelity }) : media.xml;
+      countOutcome("unwrap-batch");
+      return {
+        ...head, ok: true,
+        depth: meta.depth, cached: meta.cached, ads: meta.ads || [], errorPixels: meta.errorPixels || [],
+        ...(meta.breaks ? { breaks: meta.breaks } : {}),
+        ...(media.removed ? { mediaRemoved: media.removed } : {}),
+        ...(format === "json"
+          ? { model: adModel(xml, { origins: meta.origins, ...(input === "vast" && !meta.replaced ? { defaultOrigin: { from: "(request)", depth: 0 } } : {}) }) }
+          : { xml })
+      };
+    } catch (e) {
+      const code = e?.vastCode || VAST_ERROR.UNDEFINED;
+      countOutcome("unwrap-batch", code);
+      return {
+        ...head, ok: false, errorPixels: e?.errorPixels || [],
+        error: { code, message: String(e?.message || e), ...(e?.blocked ? { blocked: e.blocked } : {}) }
+      };
+    }
+  });
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ items });
+}
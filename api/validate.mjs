@@ -0,0 +1,87 @@
+// api/validate.mjs
+// GET  /api/validate?url=<tag>           resolve the tag, lint the result
+// POST /api/validate  (XML body, or JSON { url } / { xml })
+//   XML holding a Wrapper is resolved first; Inline XML is linted as posted.
+// → { summary: pass|warn|fail, source, resolution, lint } (see lib/lint.mjs)
+// Validation is not an ad request: <Error> pixels of failed hops are listed in
+// resolution.errorPixels, never fired. When the chain breaks, the fetched (or posted) document
+// is linted instead, as far as it got.
+import { resolveToInlineWithMeta, unwrapAdmIfWrapper } from "../lib/resolver.mjs";
+import { withRecording } from "../lib/replay.mjs";
+import { lintVast } from "../lib/lint.mjs";
+import { mergePolicyFor } from "../lib/mergepolicy.mjs";
+import { forwardingFromRequest, mergeOverridesFromRequest, readRequestBody } from "../lib/request.mjs";
+
+export const config = { runtime: "nodejs" };
+
+const MAX_BODY_BYTES = Number(process.env.VALIDATE_MAX_BYTES || 1_048_576);
+
+async function readInput(req) {
+  const body = await readRequestBody(req, MAX_BODY_BYTES);
+  return typeof body === "string" ? parseInput(body, req.headers["content-type"]) : body;
+}
+
+function parseInput(raw, contentType = "") {
+  const body = raw.trim();
+  if (!body) return {};
+  if (/json/i.test(contentType) || body.startsWith("{")) {
+    try { return JSON.parse(body); } catch { const e = new Error("Invalid JSON body"); e.statusCode = 400; throw e; }
+  }
+  return { xml: body };
+}
+
+const failed = e => ({
+  error: e?.message || String(e),
+  ...(e?.vastCode ? { vastCode: e.vastCode } : {}),
+  ...(e?.blocked ? { blocked: e.blocked } : {}),
+  errorPixels: e?.errorPixels || []
+});
+
+async function handler(req, res) {
+  if (!["GET", "POST"].includes(req.method)) {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).send("Method Not Allowed");
+  }
+
+  const { searchParams } = new URL(req.url, `https://${req.headers.host}`);
+  let input, overrides;
+  try {
+    overrides = mergeOverridesFromRequest(searchParams);
+    input = req.method === "POST" ? await readInput(req) : { url: searchParams.get("url") };
+  } catch (e) { return res.status(e.statusCode || 400).json({ error: { code: String(e.statusCode || 400), message: e.message } }); }
+
+  const { url, xml } = input || {};
+  if (!url && !xml) return res.status(400).json({ error: { code: "400", message: "missing url or xml" } });
+  const { macros, headers, personalData } = forwardingFromRequest(req, searchParams);
+  const mergePolicy = mergePolicyFor({ url }, overrides);
+
+  let resolved, resolution;
+  try {
+    if (url) {
+      const meta = await resolveToInlineWithMeta(String(url), { macros, headers, personalData, mergePolicy, firePixels: false });
+      resolved = meta.xml;
+      resolution = { depth: meta.depth, cached: meta.cached, ads: meta.ads, ...(meta.breaks ? { breaks: meta.breaks } : {}), errorPixels: meta.errorPixels || [] };
+    } else {
+      const out = await unwrapAdmIfWrapper(String(xml), { macros, headers, personalData, mergePolicy, firePixels: false });
+      resolved = out.adm;
+      resolution = { depth: out.depth, replaced: out.replaced, ...(out.ads ? { ads: out.ads } : {}), errorPixels: out.errorPixels || [] };
+    }
+  } catch (e) {
+    // the chain itself is broken: that is the finding, with what the document itself gets wrong
+    const source = xml != null ? String(xml) : e?.sourceXml;
+    return res.status(200).json({ summary: "fail", source: url ? "url" : "xml", resolution: failed(e), lint: source != null ? lintVast(source) : null });
+  }
+
+  const lint = lintVast(resolved);
+  // ads the resolver had to give up on are findings too
+  const dropped = (resolution.ads || []).filter(a => a.error);
+  for (const a of dropped) {
+    lint.issues.push({ level: "warning", rule: "unresolved-ad", path: `Ad[${a.id ?? a.sequence ?? "?"}]`, message: `${a.error} (VAST error ${a.code})` });
+  }
+  if (dropped.length && lint.summary === "pass") lint.summary = "warn";
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ summary: lint.summary, source: url ? "url" : "xml", resolution, lint });
+}
+
+export default withRecording("validate", handler);
@@ -0,0 +1,137 @@
+// lib/adapters.mjs
+// SSP adapters: which bids get their SSP wrapper recovered (STEP B of /api/openrtb2),
+// where that wrapper lives and which of its nodes go into our InLine.
+//
+// An adapter is plain data so it can come from env / JSON:
+//   {
+//     name:        "equativ",
+//     seats:       ["seat-a"],                 // bid's seatbid.seat (exact, case-insensitive)
+//     hosts:       ["smartadserver.com"],      // nurl host or any subdomain of it
+//     nurlPattern: "[?&]bidid=",               // RegExp source tested against the nurl
+//     hostRewrite: ["^ssb-", ""],              // [pattern, replacement] applied to {nurl.host}
+//     wrapperUrl:  "https://{nurl.host}/rv?vastid={nurl.query.bidid}",
+//     merge:       ["Impression"]              // see MERGE_NODES in lib/resolver.mjs
+//   }
+// All given criteria must match; an adapter without any matches every bid with a nurl.
+// Placeholders: {nurl.host} {nurl.origin} {nurl.query.<name>} {bid.<path>} {seat} — values are
+// URL-encoded (host/origin excepted); a missing value means "not derived" for that bid.
+//
+// Configured adapters (SSP_ADAPTERS = JSON array, or SSP_ADAPTERS_FILE = path to one) are tried
+// before the built-ins, first match wins; one named like a built-in replaces it.
+import fs from "node:fs";
+import { MERGE_NODES } from "./resolver.mjs";
+
+const SSP_ADAPTERS      = process.env.SSP_ADAPTERS || "";
+const SSP_ADAPTERS_FILE = process.env.SSP_ADAPTERS_FILE || "";
+
+// ───── built-ins ────────────────────────────────────────────────────────────
+// Equativ RV (tolerant, matches any nurl carrying bidid + bidnwid):
+//  - ssb-use1.smartadserver.com → use1.smartadserver.com
+//  - vastid = bidid, networkId = bidnwid
+const BUILTIN_ADAPTERS = [
+  {
+    name: "equativ",
+    nurlPattern: "^(?=.*[?&]bidid=[^&])(?=.*[?&]bidnwid=[^&])",
+    hostRewrite: ["^ssb-", ""],
+    wrapperUrl: "https://{nurl.host}/rv?vastid={nurl.query.bidid}&networkId={nurl.query.bidnwid}",
+    merge: ["Impression"]
+  }
+];
+
+// ───── validation ───────────────────────────────────────────────────────────
+const configError = msg => Object.assign(new Error(`SSP adapter config: ${msg}`), { statusCode: 500 });
+const lowerList = v => (Array.isArray(v) ? v : v ? [v] : []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+function compile(def) {
+  if (!def || typeof def !== "object") throw configError("adapter must be an object");
+  const name = String(def.name || "").trim();
+  if (!name) throw configError("adapter without name");
+  if (typeof def.wrapperUrl !== "string" || !def.wrapperUrl) throw configError(`"${name}" has no wrapperUrl`);
+  const merge = def.merge == null ? ["Impression"] : [].concat(def.merge);
+  const unknown = merge.filter(n => !MERGE_NODES.includes(n));
+  if (unknown.length) throw configError(`"${name}" merges unknown node(s) ${unknown.join(", ")}`);
+
+  let nurlPattern = null, hostRewrite = null;
+  try {
+    if (def.nurlPattern) nurlPattern = new RegExp(def.nurlPattern, "i");
+    if (def.hostRewrite) hostRewrite = [new RegExp(def.hostRewrite[0], "i"), String(def.hostRewrite[1] ?? "")];
+  } catch (e) { throw configError(`"${name}": ${e.message}`); }
+
+  return { name, seats: lowerList(def.seats), hosts: lowerList(def.hosts), nurlPattern, hostRewrite, wrapperUrl: def.wrapperUrl, merge };
+}
+
+function loadConfigured() {
+  let raw = SSP_ADAPTERS.trim();
+  if (!raw && SSP_ADAPTERS_FILE) {
+    try { raw = fs.readFileSync(SSP_ADAPTERS_FILE, "utf8"); }
+    catch (e) { throw configError(`cannot read ${SSP_ADAPTERS_FILE}: ${e.message}`); }
+  }
+  if (!raw) return [];
+  let defs;
+  try { defs = JSON.parse(raw); } catch (e) { throw configError(`invalid JSON: ${e.message}`); }
+  return (Array.isArray(defs) ? defs : [defs]).map(compile);
+}
+
+// ───── registry ─────────────────────────────────────────────────────────────
+let adapters = null; // built lazily so a bad config fails the request that needs it, not the import
+
+function registry() {
+  if (adapters) return adapters;
+  const configured = loadConfigured();
+  const names = new Set(configured.map(a => a.name));
+  adapters = [...configured, ...BUILTIN_ADAPTERS.map(compile).filter(a => !names.has(a.name))];
+  return adapters;
+}
+
+// adds (or replaces, by name) an adapter at runtime; it is tried before all others
+export function registerAdapter(def) {
+  const a = compile(def);
+  adapters = [a, ...registry().filter(x => x.name !== a.name)];
+  return a.name;
+}
+
+export const listAdapters = () => registry().map(a => a.name);
+
+// ───── matching + URL derivation ────────────────────────────────────────────
+const hostMatches = (host, hosts) => hosts.some(h => host === h || host.endsWith(`.${h}`));
+
+function matches(a, nurl, seat) {
+  if (a.seats.length && !a.seats.includes(String(seat || "").toLowerCase())) return false;
+  if (a.hosts.length && !hostMatches(nurl.hostname.toLowerCase(), a.hosts)) return false;
+  if (a.nurlPattern && !a.nurlPattern.test(nurl.href)) return false;
+  return true;
+}
+
+const pathOf = (obj, path) => path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+function deriveUrl(a, nurl, bid, seat) {
+  const host = a.hostRewrite ? nurl.host.replace(...a.hostRewrite) : nurl.host;
+  let missing = false;
+  const url = a.wrapperUrl.replace(/\{([^{}]+)\}/g, (_, key) => {
+    let v;
+    if (key === "nurl.host") return host;
+    if (key === "nurl.origin") return `${nurl.protocol}//${host}`;
+    if (key === "seat") v = seat;
+    else if (key.startsWith("nurl.query.")) v = nurl.searchParams.get(key.slice(11));
+    else if (key.startsWith("bid.")) v = pathOf(bid, key.slice(4));
+    if (v == null || v === "" || typeof v === "object") { missing = true; return ""; }
+    return encodeURIComponent(String(v));
+  });
+  return missing ? null : url;
+}
+
+// First adapter that matches the bid → { adapter, url, merge }.
+// url is null when the adapter matched but its template could not be filled.
+// Returns null when no adapter matches (or the bid has no usable nurl).
+export function findWrapperRecovery(bid, { seat } = {}) {
+  let nurl;
+  try { nurl = new URL(bid?.nurl); } catch { return null; }
+  let first = null;
+  for (const a of registry()) {
+    if (!matches(a, nurl, seat)) continue;
+    const url = deriveUrl(a, nurl, bid, seat);
+    if (url) return { adapter: a.name, url, merge: a.merge };
+    first ??= { adapter: a.name, url: null, merge: a.merge };
+  }
+  return first;
+}
@@ -0,0 +1,236 @@
+// lib/cache.mjs
+// Cache stores share one async interface so the resolver does not care where entries live:
+//   get(key)               → { val, exp, staleUntil } | null
+//   set(key, val, { ttl, swr })
+//   delete(key)
+//   stats()                → { backend, entries, bytes, ... }
+// CACHE_BACKEND=none stores nothing (every read is a miss; coalescing still applies).
+// `val` must be JSON-serializable (the Redis store round-trips it).
+import net from "node:net";
+
+const CACHE_BACKEND     = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 5000);
+const CACHE_MAX_BYTES   = Number(process.env.CACHE_MAX_BYTES   || 64 * 1024 * 1024);
+const REDIS_URL         = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+const REDIS_TIMEOUT_MS  = Number(process.env.REDIS_TIMEOUT_MS  || 250);
+const REDIS_PREFIX      = process.env.REDIS_PREFIX || "vast-unwrapper:";
+const SWEEP_EVERY_MS    = 30_000;
+
+const sizeOf = val => Buffer.byteLength(typeof val === "string" ? val : JSON.stringify(val));
+const entryOf = (val, { ttl, swr = 0 }) => {
+  const exp = Date.now() + ttl;
+  return { val, exp, staleUntil: exp + swr };
+};
+
+// ───── in-memory LRU (bounded by entries and bytes) ─────────────────────────
+export function createMemoryStore({ maxEntries = CACHE_MAX_ENTRIES, maxBytes = CACHE_MAX_BYTES } = {}) {
+  const map = new Map(); // insertion order = recency (oldest first)
+  let bytes = 0;
+  let lastSweep = Date.now();
+
+  const drop = k => { const e = map.get(k); if (!e) return; bytes -= e.size; map.delete(k); };
+  // expired-and-past-stale entries go even if nobody reads them again
+  const sweep = () => {
+    const now = Date.now();
+    lastSweep = now;
+    for (const [k, e] of map) if (now > e.staleUntil) drop(k);
+  };
+
+  return {
+    async get(k) {
+      const e = map.get(k);
+      if (!e) return null;
+      if (Date.now() > e.staleUntil) { drop(k); return null; }
+      map.delete(k); map.set(k, e); // touch
+      return { val: e.val, exp: e.exp, staleUntil: e.staleUntil };
+    },
+    async set(k, val, opts) {
+      const size = sizeOf(val);
+      if (size > maxBytes) return;
+      drop(k);
+      map.set(k, { ...entryOf(val, opts), size });
+      bytes += size;
+      if (Date.now() - lastSweep > SWEEP_EVERY_MS) sweep();
+      for (const oldest of map.keys()) {
+        if (map.size <= maxEntries && bytes <= maxBytes) break;
+        drop(oldest);
+      }
+    },
+    async delete(k) { drop(k); },
+    stats() { return { backend: "memory", entries: map.size, bytes, maxEntries, maxBytes }; }
+  };
+}
+
+// ───── Redis (RESP over a plain socket, no client dependency) ───────────────
+// Any server speaking RESP2 GET/SET PX/DEL works (Redis, Valkey, KeyDB, a local stand-in).
+// Cache trouble is never fatal: errors and timeouts read as a miss.
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) { const s = String(a); out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`; }
+  return out;
+}
+
+// parses one reply at `pos`; returns [value, nextPos] or null when more bytes are needed
+function parseReply(buf, pos = 0) {
+  const eol = buf.indexOf("\r\n", pos);
+  if (eol < 0) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString("utf8", pos + 1, eol);
+  const next = eol + 2;
+  if (type === "+") return [line, next];
+  if (type === "-") return [Object.assign(new Error(line), { redis: true }), next];
+  if (type === ":") return [Number(line), next];
+  if (type === "$") {
+    const len = Number(line);
+    if (len < 0) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString("utf8", next, next + len), next + len + 2];
+  }
+  if (type === "*") {
+    const n = Number(line);
+    if (n < 0) return [null, next];
+    const items = [];
+    let p = next;
+    for (let i = 0; i < n; i++) {
+      const r = parseReply(buf, p);
+      if (!r) return null;
+      items.push(r[0]); p = r[1];
+    }
+    return [items, p];
+  }
+  return [new Error(`Unexpected RESP type ${type}`), buf.length];
+}
+
+export function createRedisStore({ url = REDIS_URL, timeoutMs = REDIS_TIMEOUT_MS, prefix = REDIS_PREFIX } = {}) {
+  const u = new URL(url);
+  const db = Number(u.pathname.slice(1) || 0);
+  let socket = null;
+  let buf = Buffer.alloc(0);
+  const pending = []; // FIFO of { resolve, reject, timer }
+  let lastError = null;
+
+  const failAll = err => {
+    lastError = err?.message || String(err);
+    socket = null;
+    buf = Buffer.alloc(0);
+    while (pending.length) { const p = pending.shift(); clearTimeout(p.timer); p.reject(err); }
+  };
+
+  function connect() {
+    if (socket) return socket;
+    const s = socket = net.connect({ host: u.hostname, port: Number(u.port || 6379) });
+    s.setNoDelay(true);
+    s.unref?.();
+    // events of a socket we already gave up on must not touch its successor
+    s.on("data", chunk => {
+      if (socket !== s) return;
+      buf = Buffer.concat([buf, chunk]);
+      let r;
+      while (pending.length && (r = parseReply(buf))) {
+        buf = buf.subarray(r[1]);
+        const p = pending.shift();
+        clearTimeout(p.timer);
+        r[0] instanceof Error ? p.reject(r[0]) : p.resolve(r[0]);
+      }
+    });
+    s.on("error", err => { if (socket === s) failAll(err); });
+    s.on("close", () => { if (socket === s) failAll(new Error("Redis connection closed")); });
+    // handshake replies are queued like any other command
+    if (u.password) send(u.username ? ["AUTH", decodeURIComponent(u.username), decodeURIComponent(u.password)] : ["AUTH", decodeURIComponent(u.password)]).catch(() => {});
+    if (db) send(["SELECT", db]).catch(() => {});
+    return s;
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const s = connect();
+      const timer = setTimeout(() => {
+        // replies are positional: after a timeout the stream is out of sync, start over
+        failAll(new Error(`Redis timeout after ${timeoutMs}ms`));
+        s.destroy();
+      }, timeoutMs);
+      pending.push({ resolve, reject, timer });
+      s.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    async get(k) {
+      try {
+        const raw = await send(["GET", prefix + k]);
+        if (raw == null) return null;
+        const e = JSON.parse(raw);
+        return Date.now() > e.staleUntil ? null : e;
+      } catch (e) { lastError = e?.message || String(e); return null; }
+    },
+    async set(k, val, opts) {
+      const e = entryOf(val, opts);
+      try { await send(["SET", prefix + k, JSON.stringify(e), "PX", Math.max(1, e.staleUntil - Date.now())]); }
+      catch (err) { lastError = err?.message || String(err); }
+    },
+    async delete(k) {
+      try { await send(["DEL", prefix + k]); } catch (err) { lastError = err?.message || String(err); }
+    },
+    stats() { return { backend: "redis", url: `${u.protocol}//${u.host}${u.pathname}`, connected: !!socket, lastError }; },
+    close() { socket?.end(); socket = null; }
+  };
+}
+
+// ───── no cache ─────────────────────────────────────────────────────────────
+export function createNullStore() {
+  return {
+    async get() { return null; },
+    async set() {},
+    async delete() {},
+    stats() { return { backend: "none", entries: 0, bytes: 0 }; }
+  };
+}
+
+export function createStoreFromEnv() {
+  if (CACHE_BACKEND === "none") return createNullStore();
+  return CACHE_BACKEND === "redis" ? createRedisStore() : createMemoryStore();
+}
+
+// ───── read-through with coalescing + stale-while-revalidate ────────────────
+const inflight = new Map();
+
+// one load per key at a time; concurrent callers share it
+function refresh(store, key, load) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = (async () => {
+    const { val, ttl = 0, swr = 0 } = await load();
+    if (ttl > 0) await store.set(key, val, { ttl, swr });
+    return { val, ttl };
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// load() → { val, ttl, swr } (ttl 0 = do not store). Returns { val, status, ttl } where ttl is
+// the freshness left: "hit" fresh, "stale" served while a background refresh runs, "miss" loaded.
+// coalesce: false gives every caller its own load (a recording must see its own fetches).
+export async function readThrough(store, key, load, { coalesce = true } = {}) {
+  if (!coalesce) {
+    const { val, ttl = 0 } = await load();
+    return { val, status: "miss", ttl };
+  }
+  const e = await store.get(key);
+  const now = Date.now();
+  if (e && now <= e.exp) return { val: e.val, status: "hit", ttl: e.exp - now };
+  if (e && now <= e.staleUntil) {
+    refresh(store, key, load).catch(() => {});
+    return { val: e.val, status: "stale", ttl: 0 };
+  }
+  const { val, ttl } = await refresh(store, key, load);
+  return { val, status: "miss", ttl };
+}
+
+// Cache-Control → { ttl, swr } in ms; ttl 0 means "do not cache"
+export function cachePolicyFromHeaders(headers, defaultTtl) {
+  const cc = String(headers?.get?.("cache-control") || "").toLowerCase();
+  if (!cc) return { ttl: defaultTtl, swr: 0 };
+  if (/\b(no-store|no-cache|private)\b/.test(cc)) return { ttl: 0, swr: 0 };
+  const num = name => { const m = cc.match(new RegExp(`\\b${name}=(\\d+)`)); return m ? Number(m[1]) * 1000 : null; };
+  const ttl = num("s-maxage") ?? num("max-age") ?? defaultTtl;
+  return { ttl, swr: num("stale-while-revalidate") ?? 0 };
+}
@@ -0,0 +1,111 @@
+// lib/client.mjs
+// What downstream ad servers get to know about the end user on each hop fetch:
+//  - client context (User-Agent, X-Forwarded-For, Accept-Language, Referer) → request headers
+//  - privacy signals (GDPR + TCF string, US Privacy, GPP, COPPA) → the consent macros
+//    ([GDPRCONSENT], [REGULATIONS], [GPPSTRING], [GPPSECTIONID])
+// FORWARD_CONTEXT is the allowlist (ua, ip, language, referer, consent). Under
+// CONSENT_POLICY=strict (default) personal identifiers — the IP (header and macros), IFA
+// and geo — are stripped when consent forbids them: COPPA, a US Privacy opt-out, or GDPR
+// without a TCF string granting CONSENT_PURPOSES. GPP strings are forwarded, not decoded.
+const FORWARD_CONTEXT  = new Set((process.env.FORWARD_CONTEXT || "ua,ip,language,referer,consent")
+  .split(",").map(s => s.trim().toLowerCase()).filter(Boolean));
+const CONSENT_POLICY   = (process.env.CONSENT_POLICY || "strict").toLowerCase(); // strict | off
+const CONSENT_PURPOSES = (process.env.CONSENT_PURPOSES || "1").split(",").map(Number).filter(n => n >= 1 && n <= 24);
+
+const IDENTIFIER_MACROS = ["IPADDRESS", "DEVICEIP", "IFA", "IFATYPE", "LATLONG"];
+const flag = v => (v == null || v === "" ? null : Number(v) === 1 ? 1 : 0);
+
+// ───── where context and signals come from ──────────────────────────────────
+// The player's own request (/api/unwrap, /api/trace, /api/validate)
+export function clientFromRequest(req) {
+  const h = req.headers || {};
+  const remote = req.socket?.remoteAddress;
+  const chain = [h["x-forwarded-for"], h["x-real-ip"] && !h["x-forwarded-for"] ? h["x-real-ip"] : null, remote]
+    .filter(Boolean).join(", ");
+  return { ua: h["user-agent"], ip: chain || null, language: h["accept-language"], referer: h.referer };
+}
+
+// ?gdpr=&gdpr_consent=&us_privacy=&gpp=&gpp_sid=&coppa=
+export function privacyFromQuery(get) {
+  return {
+    gdpr: flag(get("gdpr")),
+    tcf: get("gdpr_consent") || null,
+    usPrivacy: get("us_privacy") || null,
+    gpp: get("gpp") || null,
+    gppSid: get("gpp_sid") || null,
+    coppa: flag(get("coppa"))
+  };
+}
+
+// OpenRTB 2.5 (ext) / 2.6 (top-level) bid request: the exchange speaks for the device
+export function clientFromBidRequest(br) {
+  const d = br?.device || {};
+  return { ua: d.ua, ip: d.ip || d.ipv6 || null, language: d.language, referer: br?.site?.page };
+}
+
+export function privacyFromBidRequest(br) {
+  const r = br?.regs || {}, u = br?.user || {};
+  return {
+    gdpr: flag(r.gdpr ?? r.ext?.gdpr),
+    tcf: u.consent ?? u.ext?.consent ?? null,
+    usPrivacy: r.us_privacy ?? r.ext?.us_privacy ?? null,
+    gpp: r.gpp ?? null,
+    gppSid: Array.isArray(r.gpp_sid) ? r.gpp_sid.join(",") : r.gpp_sid ?? null,
+    coppa: flag(r.coppa)
+  };
+}
+
+// ───── consent policy ───────────────────────────────────────────────────────
+// TCF v2 core string: purpose consents are bits 152–175 (purpose n = bit 151 + n)
+function tcfPurposes(tcf) {
+  const core = String(tcf || "").split(".")[0];
+  if (!/^[A-Za-z0-9_-]{30,}$/.test(core)) return null;
+  const bytes = Buffer.from(core, "base64url");
+  const bit = k => (bytes[k >> 3] >> (7 - (k & 7))) & 1;
+  if (bytes.length * 8 < 176 || (bytes[0] >> 2) !== 2) return null; // version 2 only
+  return new Set(Array.from({ length: 24 }, (_, k) => (bit(152 + k) ? k + 1 : 0)).filter(Boolean));
+}
+
+// → { personalData, reason }; reason says why identifiers are withheld
+export function consentDecision(privacy = {}) {
+  if (CONSENT_POLICY === "off") return { personalData: true, reason: null };
+  if (privacy.coppa === 1) return { personalData: false, reason: "coppa" };
+  if (/^1.Y/i.test(privacy.usPrivacy || "")) return { personalData: false, reason: "us-privacy-opt-out" };
+  if (privacy.gdpr === 1) {
+    const purposes = tcfPurposes(privacy.tcf);
+    if (!purposes) return { personalData: false, reason: privacy.tcf ? "tcf-unreadable" : "gdpr-no-consent" };
+    if (!CONSENT_PURPOSES.every(p => purposes.has(p))) return { personalData: false, reason: "tcf-purpose-denied" };
+  }
+  return { personalData: true, reason: null };
+}
+
+// ───── what goes downstream ─────────────────────────────────────────────────
+// → { headers, macros, withheld, personalData }: hop request headers, `macros` with the consent
+// macros set and identifiers removed as the policy requires, and what was withheld (for debug
+// headers); the resolver keeps cache entries without identifiers apart (personalData: false)
+export function forwardContext(client = {}, privacy = {}, macros = {}) {
+  const { personalData, reason } = consentDecision(privacy);
+  const headers = {};
+  if (FORWARD_CONTEXT.has("ua") && client.ua) headers["User-Agent"] = String(client.ua);
+  if (FORWARD_CONTEXT.has("ip") && personalData && client.ip) headers["X-Forwarded-For"] = String(client.ip);
+  if (FORWARD_CONTEXT.has("language") && client.language) headers["Accept-Language"] = String(client.language);
+  if (FORWARD_CONTEXT.has("referer") && client.referer) headers.Referer = String(client.referer);
+
+  const out = { ...macros };
+  if (!personalData) for (const m of IDENTIFIER_MACROS) delete out[m];
+  if (FORWARD_CONTEXT.has("consent")) {
+    const regulations = new Set(String(out.REGULATIONS || "").split(",").filter(Boolean));
+    if (privacy.gdpr === 1) regulations.add("gdpr");
+    if (privacy.coppa === 1) regulations.add("coppa");
+    if (/^1[YN]/i.test(privacy.usPrivacy || "")) regulations.add("ccpa");
+    Object.assign(out, {
+      ...(privacy.tcf ? { GDPRCONSENT: privacy.tcf } : {}),
+      ...(privacy.gpp ? { GPPSTRING: privacy.gpp } : {}),
+      ...(privacy.gppSid ? { GPPSECTIONID: privacy.gppSid } : {}),
+      ...(regulations.size ? { REGULATIONS: [...regulations].join(",") } : {})
+    });
+  } else {
+    for (const m of ["GDPRCONSENT", "GPPSTRING", "GPPSECTIONID", "REGULATIONS"]) delete out[m];
+  }
+  return { headers, macros: out, withheld: personalData ? null : reason, personalData };
+}
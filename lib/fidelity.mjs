@@ -0,0 +1,457 @@
+// lib/fidelity.mjs
+// Lossless ("fidelity") mode: instead of parse → build, documents are edited as text.
+// Untouched bytes — XML declaration, comments, CDATA, attribute quoting, node order,
+// namespaced extensions — stay exactly as the ad server sent them; a merge only inserts the
+// wrapper's own nodes, verbatim, where the object merge would put them.
+// The media filter (lib/media.mjs) and the version rewrite (lib/version.mjs) cut and move
+// elements through the same editor.
+//
+// The scanner below is not a validating parser: input has been through XMLValidator
+// (fetchVast) or comes from a bid's adm, and any surprise makes the caller fall back to
+// the regular builder.
+import { DEFAULT_MERGE_POLICY, mergeKeys } from "./mergepolicy.mjs";
+
+// ───── scanner ──────────────────────────────────────────────────────────────
+// Element nodes: { name, attrs, start, openEnd, closeStart, end, selfClosing, parent, children }
+// (offsets into the scanned string; content is xml.slice(openEnd, closeStart)).
+const ATTR_RE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+const decode = s => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e] ?? m;
+});
+const escapeText = s => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttr = s => escapeText(s).replace(/"/g, "&quot;");
+
+function parseAttrs(head) {
+  const attrs = {};
+  for (const m of head.matchAll(ATTR_RE)) attrs[m[1]] = decode(m[2] ?? m[3]);
+  return attrs;
+}
+
+const skipTo = (xml, from, token) => {
+  const at = xml.indexOf(token, from);
+  if (at < 0) throw new Error(`Unterminated markup at ${from}`);
+  return at + token.length;
+};
+
+export function scanXml(xml) {
+  const root = { name: null, attrs: {}, start: 0, openEnd: 0, closeStart: xml.length, end: xml.length, parent: null, children: [] };
+  const stack = [root];
+  let i = 0;
+  while (i < xml.length) {
+    const lt = xml.indexOf("<", i);
+    if (lt < 0) break;
+    if (xml.startsWith("<!--", lt)) { i = skipTo(xml, lt + 4, "-->"); continue; }
+    if (xml.startsWith("<![CDATA[", lt)) { i = skipTo(xml, lt + 9, "]]>"); continue; }
+    if (xml.startsWith("<?", lt)) { i = skipTo(xml, lt + 2, "?>"); continue; }
+    if (xml.startsWith("<!", lt)) { i = skipTo(xml, lt + 2, ">"); continue; }
+
+    if (xml[lt + 1] === "/") {
+      const gt = skipTo(xml, lt, ">");
+      const name = xml.slice(lt + 2, gt - 1).trim();
+      const open = stack.pop();
+      if (!open?.name || open.name !== name) throw new Error(`Mismatched </${name}> at ${lt}`);
+      open.closeStart = lt;
+      open.end = gt;
+      i = gt;
+      continue;
+    }
+
+    // start tag; '>' inside quoted attribute values does not end it
+    let j = lt + 1, quote = null;
+    for (; j < xml.length; j++) {
+      const c = xml[j];
+      if (quote) { if (c === quote) quote = null; }
+      else if (c === "\"" || c === "'") quote = c;
+      else if (c === ">") break;
+    }
+    if (j >= xml.length) throw new Error(`Unterminated tag at ${lt}`);
+    const selfClosing = xml[j - 1] === "/";
+    const head = xml.slice(lt + 1, selfClosing ? j - 1 : j);
+    const name = /^[^\s/>]+/.exec(head)?.[0];
+    if (!name) throw new Error(`Bad tag at ${lt}`);
+    const parent = stack[stack.length - 1];
+    const node = {
+      name, attrs: parseAttrs(head.slice(name.length)), start: lt, openEnd: j + 1,
+      closeStart: selfClosing ? j + 1 : null, end: selfClosing ? j + 1 : null, selfClosing, parent, children: []
+    };
+    parent.children.push(node);
+    if (!selfClosing) stack.push(node);
+    i = j + 1;
+  }
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+export const kids = (node, name) => (node?.children || []).filter(c => c.name === name);
+export const kid  = (node, name) => kids(node, name)[0] || null;
+export const rawOf = (xml, node) => xml.slice(node.start, node.end);
+
+// every element named `name` under `node`, in document order (not looking inside a match)
+export const elementsNamed = (node, name, out = []) => {
+  for (const c of node.children) if (c.name === name) out.push(c); else elementsNamed(c, name, out);
+  return out;
+};
+
+// text content: CDATA unwrapped, entities decoded, trimmed
+export function textOf(xml, node) {
+  if (node.selfClosing) return "";
+  const content = xml.slice(node.openEnd, node.closeStart);
+  return content.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => (part.startsWith("<![CDATA[") ? part.slice(9, -3) : decode(part)))
+    .join("").trim();
+}
+
+// `head` (an element's start tag) with attribute `name` set to `value`, or removed when null
+function withAttr(head, name, value) {
+  const attr = name.replace(/[.:-]/g, "\\$&");
+  if (value == null) return head.replace(new RegExp(`\\s+${attr}\\s*=\\s*("[^"]*"|'[^']*')`), "");
+  const re = new RegExp(`(\\s${attr}\\s*=\\s*)("[^"]*"|'[^']*')`);
+  return re.test(head)
+    ? head.replace(re, (m, pre) => `${pre}"${escapeAttr(String(value))}"`)
+    : head.replace(/\s*(\/?)>$/, (m, slash) => ` ${name}="${escapeAttr(String(value))}"${slash}>`);
+}
+
+// ───── edits (applied in one pass against the original offsets) ─────────────
+// Edits must not overlap: nothing is removed, or has its attributes set, inside a removed node.
+export function editor(xml) {
+  const edits = [];      // { start, end, text, seq }
+  const appends = new Map(); // element → [snippets] (a self-closing one must be reopened)
+  const created = new Map(); // `${offset}|${name}` → pending new container
+  let seq = 0;
+
+  const api = {
+    insertAt(pos, text) { edits.push({ start: pos, end: pos, text, seq: seq++ }); },
+    // the node and the whitespace before it (its line, in an indented document)
+    remove(node) {
+      let start = node.start;
+      while (start > 0 && /\s/.test(xml[start - 1])) start--;
+      edits.push({ start, end: node.end, text: "", seq: seq++ });
+    },
+    // { name: value | null } on the node's start tag
+    setAttrs(node, changes) {
+      const head = xml.slice(node.start, node.openEnd);
+      const next = Object.entries(changes).reduce((h, [name, value]) => withAttr(h, name, value), head);
+      if (next !== head) edits.push({ start: node.start, end: node.openEnd, text: next, seq: seq++ });
+    },
+    append(node, text) {
+      if (!appends.has(node)) appends.set(node, { seq: seq++, texts: [] });
+      appends.get(node).texts.push(text);
+    },
+    // child container `name` of `parent`: the existing one, or one created at `place(parent)`
+    container(parent, name, place) {
+      const existing = kid(parent, name);
+      if (existing) return { add: text => api.append(existing, text) };
+      const key = `${parent.start}|${name}`;
+      if (!created.has(key)) {
+        const slot = { texts: [] };
+        created.set(key, slot);
+        const pos = parent.selfClosing ? null : place(parent);
+        slot.flush = () => {
+          if (!slot.texts.length) return;
+          const text = `<${name}>${slot.texts.join("")}</${name}>`;
+          if (pos == null) api.append(parent, text); else api.insertAt(pos, text);
+        };
+        slot.seq = seq++;
+      }
+      const slot = created.get(key);
+      return { add: text => slot.texts.push(text) };
+    },
+    apply() {
+      // containers first (they may append into a self-closing parent), in creation order
+      for (const slot of [...created.values()].sort((a, b) => a.seq - b.seq)) slot.flush();
+      for (const [node, { seq: s, texts }] of appends) {
+        if (node.selfClosing) {
+          const open = xml.slice(node.start, node.openEnd - 2).replace(/\s+$/, "");
+          edits.push({ start: node.start, end: node.end, text: `${open}>${texts.join("")}</${node.name}>`, seq: s });
+        } else {
+          edits.push({ start: node.closeStart, end: node.closeStart, text: texts.join(""), seq: s });
+        }
+      }
+      edits.sort((a, b) => a.start - b.start || a.seq - b.seq);
+      let out = "", cursor = 0;
+      for (const e of edits) {
+        out += xml.slice(cursor, e.start) + e.text;
+        cursor = Math.max(cursor, e.end);
+      }
+      return out + xml.slice(cursor);
+    }
+  };
+  return api;
+}
+
+// end of the last child named in `names` (first name that has one wins), else content start
+const after = (...names) => parent => {
+  for (const n of names) {
+    const list = kids(parent, n);
+    if (list.length) return list[list.length - 1].end;
+  }
+  return parent.openEnd;
+};
+// start of the first child named in `names`, else content end
+const before = (...names) => parent => {
+  for (const n of names) {
+    const hit = kid(parent, n);
+    if (hit) return hit.start;
+  }
+  return parent.closeStart;
+};
+
+// ───── namespaces ───────────────────────────────────────────────────────────
+// A copied node may use a prefix declared further up in the wrapper doc; redeclare it on the
+// copy so it stays well-formed wherever it lands.
+function nsInScope(node, base) {
+  const ns = { ...base };
+  const chain = [];
+  for (let n = node; n?.name; n = n.parent) chain.unshift(n);
+  for (const n of chain) for (const [k, v] of Object.entries(n.attrs)) if (k.startsWith("xmlns:")) ns[k] = v;
+  return ns;
+}
+
+function portable(xml, node, base) {
+  let raw = rawOf(xml, node);
+  const used = new Set([...raw.matchAll(/<\/?([A-Za-z_][\w.-]*):|\s([A-Za-z_][\w.-]*):[\w.-]+\s*=/g)].map(m => m[1] || m[2]));
+  used.delete("xmlns"); used.delete("xml");
+  if (!used.size) return raw;
+  const ns = nsInScope(node.parent, base);
+  const missing = [...used].filter(p => ns[`xmlns:${p}`] != null && !raw.includes(`xmlns:${p}=`));
+  if (!missing.length) return raw;
+  const decl = missing.map(p => ` xmlns:${p}="${escapeAttr(ns[`xmlns:${p}`])}"`).join("");
+  const headEnd = node.openEnd - node.start - (node.selfClosing ? 2 : 1);
+  return raw.slice(0, headEnd).replace(/\s+$/, "") + decl + raw.slice(headEnd);
+}
+
+// ───── documents ⇄ ads ──────────────────────────────────────────────────────
+const vastOf = tree => tree.children.find(c => c.name === "VAST") || null;
+
+// → [{ xml, ns }] for each <Ad> of a VAST document, in document order; ns = the root's prefixes
+export function adSpans(xml) {
+  const vast = vastOf(scanXml(xml));
+  if (!vast) return [];
+  const ns = Object.fromEntries(Object.entries(vast.attrs).filter(([k]) => k.startsWith("xmlns:")));
+  return kids(vast, "Ad").map(ad => ({ xml: rawOf(xml, ad), ns }));
+}
+
+// the root document with its <Ad>s replaced by `ads` (raw strings); everything around them is kept
+export function assembleVast(rootXml, ads) {
+  const vast = vastOf(scanXml(rootXml));
+  if (!vast) throw new Error("No <VAST> root");
+  const own = kids(vast, "Ad");
+  if (vast.selfClosing) {
+    const open = rootXml.slice(vast.start, vast.openEnd - 2).replace(/\s+$/, "");
+    return rootXml.slice(0, vast.start) + `${open}>${ads.join("")}</VAST>` + rootXml.slice(vast.end);
+  }
+  const from = own.length ? own[0].start : vast.closeStart;
+  const to = own.length ? own[own.length - 1].end : vast.closeStart;
+  // reuse the whitespace the document puts between (or before) its ads
+  const sep = own.length > 1 ? rootXml.slice(own[0].end, own[1].start) : own.length ? /\s*$/.exec(rootXml.slice(vast.openEnd, own[0].start))[0] : "";
+  return rootXml.slice(0, from) + ads.join(/^\s*$/.test(sep) ? sep : "") + rootXml.slice(to);
+}
+
+// sets (or adds) an attribute on the first element of `xml`
+export function setRootAttr(xml, name, value) {
+  const el = scanXml(xml).children[0];
+  if (!el) return xml;
+  return xml.slice(0, el.start) + withAttr(xml.slice(el.start, el.openEnd), name, value) + xml.slice(el.openEnd);
+}
+
+// rewrites the text of every element named in `names` through fn(text) (CDATA kept as CDATA)
+export function mapElementText(xml, names, fn) {
+  const replaced = [];
+  const walk = node => {
+    for (const c of node.children) {
+      if (names.has(c.name) && !c.selfClosing && !c.children.length) {
+        const content = xml.slice(c.openEnd, c.closeStart);
+        const cdata = /^(\s*<!\[CDATA\[)([\s\S]*?)(\]\]>\s*)$/.exec(content);
+        const next = cdata
+          ? cdata[1] + fn(cdata[2]) + cdata[3]
+          : content.replace(/^(\s*)([\s\S]*?)(\s*)$/, (m, lead, text, trail) => lead + escapeText(fn(decode(text))) + trail);
+        if (next !== content) replaced.push({ start: c.openEnd, end: c.closeStart, text: next });
+      }
+      walk(c);
+    }
+  };
+  walk(scanXml(xml));
+  let out = "", cursor = 0;
+  for (const r of replaced) { out += xml.slice(cursor, r.start) + r.text; cursor = r.end; }
+  return out + xml.slice(cursor);
+}
+
+// ───── wrapper → inline merge, as text ──────────────────────────────────────
+// Same rules as mergeWrapperIntoInline (lib/resolver.mjs); which wrapper nodes count as already
+// present in the InLine is up to the merge policy (lib/mergepolicy.mjs). The InLine's own
+// nodes are never rewritten, deduplicated or reordered.
+const sameMarkup = (xml, n) => rawOf(xml, n).replace(/\s+/g, " ");
+
+// (xml, node) → key per node type of a merge policy (null: keep all)
+function keyFnsOf(policy) {
+  const keys = mergeKeys(policy);
+  const byUrl = fn => fn && ((xml, n) => fn(textOf(xml, n)));
+  const { Tracking: trk, Verification: ver } = keys.url;
+  return {
+    ...keys,
+    Impression: byUrl(keys.url.Impression),
+    Error: byUrl(keys.url.Error),
+    Viewable: byUrl(keys.url.Viewable),
+    Click: byUrl(trk),
+    Tracking: trk && ((xml, n) => `${n.attrs.event}|${n.attrs.offset ?? ""}|${trk(textOf(xml, n))}`),
+    Verification: keys.mode.Verification === "canonical-dedup"
+      ? (xml, n) => [n.attrs.vendor ?? "", ...["JavaScriptResource", "ExecutableResource"].flatMap(k => kids(n, k)).map(r => ver(textOf(xml, r)))].join("|")
+      : ver && sameMarkup
+  };
+}
+
+// <Extension type="unwrap-origin"> for the impressions a wrapper added (see the object merge)
+const originExtension = (urls, origin) => `<Extension type="unwrap-origin">${urls.map(url =>
+  `<Origin node="Impression" from="${escapeAttr(String(origin.from))}" depth="${origin.depth}">${escapeText(url)}</Origin>`).join("")}</Extension>`;
+const RESOURCE_NODES = ["StaticResource", "IFrameResource", "HTMLResource"];
+
+// wrapper creatives target InLine creatives by adId / UniversalAdId, children by id; what
+// targets nothing applies to every node of its kind (see resolver). keysOf(node) → [key | null, …]
+const sharing = (iList, wKeys, keysOf) => iList.filter(n => keysOf(n).some((k, j) => k != null && k === wKeys[j]));
+const targetsOf = (iList, wKeys, keysOf) => { const hits = sharing(iList, wKeys, keysOf); return hits.length ? hits : iList; };
+const idKeys = n => [n.attrs.id ?? null];
+function uaidOf(xml, c) {
+  const u = kid(c, "UniversalAdId");
+  const v = u ? textOf(xml, u).trim() : "";
+  return v && v.toLowerCase() !== "unknown" ? `${u.attrs.idRegistry ?? ""}|${v}` : null;
+}
+const creativeKeys = xml => c => [c.attrs.adId ?? null, uaidOf(xml, c)];
+
+// `adXml` is an <Ad> with an <InLine>, `wrapperAd` = { xml, ns } of an <Ad> with a <Wrapper>
+// (or an <InLine>, as SSP wrapper-recovery endpoints sometimes answer); `origin`: { from, depth }
+export function mergeWrapperAdXml(wrapperAd, adXml, { nodes, policy = DEFAULT_MERGE_POLICY, origin = null } = {}) {
+  const want = new Set(nodes);
+  const key = keyFnsOf(policy);
+  const wXml = wrapperAd.xml;
+  const wAd = kid(scanXml(wXml), "Ad");
+  const w = kid(wAd, "Wrapper") || kid(wAd, "InLine");
+  const inl = kid(kid(scanXml(adXml), "Ad"), "InLine");
+  if (!w || !inl) return adXml;
+
+  const ed = editor(adXml);
+  const copy = n => portable(wXml, n, wrapperAd.ns);
+
+  // children `name` of wrapper node `wn` that `have` (keys of the inline's) lacks → into(target);
+  // no keyFn: all of them. → the nodes added
+  const addMissing = (wn, name, target, keyFn, have = []) => {
+    const seen = new Set(have);
+    const added = kids(wn, name).filter(n => {
+      const k = keyFn?.(wXml, n);
+      return !keyFn || (!seen.has(k) && seen.add(k));
+    });
+    for (const n of added) target.add(copy(n));
+    return added;
+  };
+  const keysOf = (node, name, keyFn) => (keyFn ? kids(node, name).map(n => keyFn(adXml, n)) : []);
+  // right after the last child named in `names` (first name present wins), else at the end of `node`
+  const slot = (node, ...names) => {
+    const pos = names.some(n => kid(node, n)) ? after(...names)(node) : null;
+    return { add: text => (pos == null ? ed.append(node, text) : ed.insertAt(pos, text)) };
+  };
+  const tracking = (iNode, wNode, place) => {
+    const wTe = kid(wNode, "TrackingEvents");
+    if (!wTe || !kids(wTe, "Tracking").length) return;
+    const iTe = kid(iNode, "TrackingEvents");
+    addMissing(wTe, "Tracking", ed.container(iNode, "TrackingEvents", place), key.Tracking, iTe ? keysOf(iTe, "Tracking", key.Tracking) : []);
+  };
+
+  // 1) Impressions
+  const addedImps = want.has("Impression")
+    ? addMissing(w, "Impression", slot(inl, "Impression", "AdTitle", "AdServingId", "AdSystem"), key.Impression, keysOf(inl, "Impression", key.Impression))
+    : [];
+
+  // 2) Error URLs
+  if (want.has("Error")) addMissing(w, "Error", slot(inl, "Error", "Impression"), key.Error, keysOf(inl, "Error", key.Error));
+
+  // 3) Creatives
+  if (want.has("Creatives")) {
+    const wCreatives = kids(kid(w, "Creatives"), "Creative");
+    const iCreativesNode = kid(inl, "Creatives");
+    const iCreatives = kids(iCreativesNode, "Creative");
+    const targetsFor = (wc, name) => targetsOf(iCreatives.filter(c => kid(c, name)), creativeKeys(wXml)(wc), creativeKeys(adXml));
+    for (const wc of wCreatives) {
+      const wLin = kid(wc, "Linear");
+      for (const c of wLin ? targetsFor(wc, "Linear") : []) {
+        const iLin = kid(c, "Linear");
+        tracking(iLin, wLin, after("Duration"));
+        const wClicks = kid(wLin, "VideoClicks");
+        if (wClicks) {
+          const iClicks = kid(iLin, "VideoClicks");
+          const box = ed.container(iLin, "VideoClicks", after("TrackingEvents", "AdParameters", "Duration"));
+          for (const name of ["ClickTracking", "CustomClick"]) addMissing(wClicks, name, box, key.Click, iClicks ? keysOf(iClicks, name, key.Click) : []);
+        }
+      }
+
+      const wNla = kid(wc, "NonLinearAds");
+      for (const c of wNla ? targetsFor(wc, "NonLinearAds") : []) {
+        const iNla = kid(c, "NonLinearAds");
+        tracking(iNla, wNla, before());
+        for (const wNl of kids(wNla, "NonLinear")) {
+          for (const iNl of targetsOf(kids(iNla, "NonLinear"), idKeys(wNl), idKeys)) {
+            addMissing(wNl, "NonLinearClickTracking", slot(iNl, "NonLinearClickTracking", "NonLinearClickThrough"), key.Click, keysOf(iNl, "NonLinearClickTracking", key.Click));
+          }
+        }
+      }
+
+      const wCa = kid(wc, "CompanionAds");
+      if (wCa) {
+        const hits = targetsFor(wc, "CompanionAds");
+        for (const c of hits) {
+          const iCa = kid(c, "CompanionAds");
+          const iComps = kids(iCa, "Companion");
+          for (const wComp of kids(wCa, "Companion")) {
+            const compHits = sharing(iComps, idKeys(wComp), idKeys);
+            if (!compHits.length && (wComp.attrs.id != null || !iComps.length) && RESOURCE_NODES.some(k => kid(wComp, k))) {
+              ed.append(iCa, copy(wComp));
+              continue;
+            }
+            for (const iComp of compHits.length ? compHits : iComps) {
+              tracking(iComp, wComp, before());
+              addMissing(wComp, "CompanionClickTracking", slot(iComp, "CompanionClickTracking", "CompanionClickThrough"), key.Click, keysOf(iComp, "CompanionClickTracking", key.Click));
+            }
+          }
+        }
+        // companions carried only by the wrapper become a creative of their own
+        if (!hits.length && kids(wCa, "Companion").some(comp => RESOURCE_NODES.some(k => kid(comp, k)))) {
+          const id = wc.attrs.id != null ? ` id="${escapeAttr(wc.attrs.id)}"` : "";
+          const text = `<Creative${id}>${copy(wCa)}</Creative>`;
+          if (iCreativesNode) ed.append(iCreativesNode, text);
+          else ed.container(inl, "Creatives", before("Extensions")).add(text);
+        }
+      }
+    }
+  }
+
+  // 4) ViewableImpression (VAST 4 puts it ahead of AdVerifications)
+  if (want.has("ViewableImpression")) {
+    const wVI = kid(w, "ViewableImpression");
+    const iVI = kid(inl, "ViewableImpression");
+    if (wVI) {
+      const box = ed.container(inl, "ViewableImpression", before("AdVerifications", "Creatives"));
+      for (const name of ["Viewable", "NotViewable", "ViewUndetermined"]) addMissing(wVI, name, box, key.Viewable, iVI ? keysOf(iVI, name, key.Viewable) : []);
+    }
+  }
+
+  // 5) AdVerifications
+  if (want.has("AdVerifications")) {
+    const wVer = kid(w, "AdVerifications");
+    const iVer = kid(inl, "AdVerifications");
+    if (wVer) addMissing(wVer, "Verification", ed.container(inl, "AdVerifications", before("Creatives")), key.Verification, iVer ? keysOf(iVer, "Verification", key.Verification) : []);
+  }
+
+  // 6) Extensions
+  if (want.has("Extensions")) {
+    const wExt = kid(w, "Extensions");
+    const iExt = kid(inl, "Extensions");
+    if (wExt) addMissing(wExt, "Extension", ed.container(inl, "Extensions", before()), sameMarkup, iExt ? keysOf(iExt, "Extension", sameMarkup) : []);
+  }
+
+  // 7) where the added impressions came from (optional)
+  if (key.origin === "extension" && origin && addedImps.length) {
+    ed.container(inl, "Extensions", before()).add(originExtension(addedImps.map(n => textOf(wXml, n)), origin));
+  }
+
+  return ed.apply();
+}
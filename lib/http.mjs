@@ -0,0 +1,155 @@
+// lib/http.mjs
+// Hardened fetch for URLs that come from the outside (tag URLs, VASTAdTagURIs, pixels):
+//  - only allowed schemes (HOP_ALLOWED_SCHEMES, default https,http)
+//  - hosts are resolved and private / loopback / link-local / metadata ranges refused; the
+//    check runs in the socket's DNS lookup, so a rebinding answer cannot slip past it
+//  - redirects followed by hand, re-checked each time, at most HOP_MAX_REDIRECTS
+//  - bodies capped at HOP_MAX_BYTES (after decompression too)
+// Refusals throw an Error with `blocked` = short reason. Returns a WHATWG Response.
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import zlib from "node:zlib";
+
+const ALLOWED_SCHEMES = (process.env.HOP_ALLOWED_SCHEMES || "https,http")
+  .split(",").map(s => s.trim().toLowerCase().replace(/:$/, "")).filter(Boolean);
+const ALLOW_PRIVATE   = process.env.HOP_ALLOW_PRIVATE === "1"; // local development only
+const MAX_REDIRECTS   = Number(process.env.HOP_MAX_REDIRECTS || 3);
+const MAX_BYTES       = Number(process.env.HOP_MAX_BYTES     || 1_048_576);
+
+// ───── blocked address ranges ───────────────────────────────────────────────
+const blockList = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) blockList.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [
+  ["::", 127], ["64:ff9b::", 96], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) blockList.addSubnet(addr, prefix, "ipv6");
+
+export function isBlockedAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return blockList.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+const blockedError = (reason, url) => Object.assign(new Error(`Blocked hop: ${reason}`), { blocked: reason, url });
+
+function checkUrl(raw) {
+  let u;
+  try { u = new URL(raw); } catch { throw blockedError("invalid URL", raw); }
+  const scheme = u.protocol.replace(/:$/, "");
+  if (!ALLOWED_SCHEMES.includes(scheme) || !["http", "https"].includes(scheme)) {
+    throw blockedError(`scheme "${scheme}" not allowed`, raw);
+  }
+  // IP literals never reach the DNS lookup below
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (!ALLOW_PRIVATE && net.isIP(host) && isBlockedAddress(host)) throw blockedError(`address ${host} not allowed`, raw);
+  return u;
+}
+
+function guardedLookup(hostname, options, cb) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return cb(err);
+    const bad = ALLOW_PRIVATE ? null : addrs.find(a => isBlockedAddress(a.address));
+    if (bad) return cb(blockedError(`${hostname} resolves to ${bad.address}`, hostname));
+    if (options?.all) return cb(null, addrs);
+    cb(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+// ───── one request, no redirects ────────────────────────────────────────────
+function requestOnce(u, { method, headers, body, deadline, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    const lib = u.protocol === "https:" ? https : http;
+    const req = lib.request(u, {
+      method,
+      headers: { ...headers, "accept-encoding": "gzip, deflate, br" },
+      lookup: guardedLookup
+    });
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error("The operation was aborted due to timeout"), { name: "AbortError" }));
+    }, Math.max(0, deadline - Date.now()));
+
+    req.on("error", e => { clearTimeout(timer); reject(e); });
+    req.on("response", res => {
+      const chunks = [];
+      let size = 0, tooLarge = false;
+      res.on("data", c => {
+        if (tooLarge) return;
+        size += c.length;
+        if (size <= maxBytes) return void chunks.push(c);
+        // reject here rather than through req's "error": when the whole body came in one chunk the
+        // socket is already detached, and an error destroy would go unhandled
+        tooLarge = true;
+        clearTimeout(timer);
+        reject(blockedError(`response larger than ${maxBytes} bytes`, u.href));
+        req.destroy();
+      });
+      res.on("error", e => { clearTimeout(timer); reject(e); });
+      res.on("end", () => {
+        clearTimeout(timer);
+        if (tooLarge) return;
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: decode(Buffer.concat(chunks), res.headers["content-encoding"], maxBytes) });
+        } catch (e) {
+          reject(e?.code === "ERR_BUFFER_TOO_LARGE" || e instanceof RangeError
+            ? blockedError(`decompressed response larger than ${maxBytes} bytes`, u.href) : e);
+        }
+      });
+    });
+    if (body != null) req.write(body);
+    req.end();
+  });
+}
+
+function decode(buf, encoding, maxBytes) {
+  const opts = { maxOutputLength: maxBytes };
+  switch (String(encoding || "").toLowerCase()) {
+    case "gzip": case "x-gzip": return zlib.gunzipSync(buf, opts);
+    case "deflate": return zlib.inflateSync(buf, opts);
+    case "br": return zlib.brotliDecompressSync(buf, opts);
+    default: return buf;
+  }
+}
+
+const toHeaders = raw => {
+  const h = new Headers();
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (k === "content-encoding" || k === "content-length") continue; // body is decoded
+    for (const one of Array.isArray(v) ? v : [v]) if (v != null) h.append(k, String(one));
+  }
+  return h;
+};
+
+// ───── response headers ─────────────────────────────────────────────────────
+// header values must be Latin-1 without control characters (setHeader throws otherwise); messages carry
+// URLs from the outside, so anything beyond printable ASCII is percent-encoded
+export const headerValue = v => String(v).replace(/[^\x20-\x7e]/gu, c => encodeURIComponent(c));
+
+// ───── public: fetch with checks, manual redirects, one overall timeout ─────
+export async function safeFetch(url, { method = "GET", headers = {}, body, timeout = 2500, maxRedirects = MAX_REDIRECTS, maxBytes = MAX_BYTES } = {}) {
+  const deadline = Date.now() + timeout;
+  const redirects = [];
+  let current = url;
+
+  for (;;) {
+    const u = checkUrl(current);
+    const res = await requestOnce(u, { method, headers, body, deadline, maxBytes });
+    const location = res.headers.location;
+    if ([301, 302, 303, 307, 308].includes(res.status) && location) {
+      if (redirects.length >= maxRedirects) throw blockedError(`more than ${maxRedirects} redirects`, current);
+      current = new URL(location, u).href;
+      redirects.push(current);
+      if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === "POST")) { method = "GET"; body = undefined; }
+      continue;
+    }
+    const noBody = res.status === 204 || res.status === 304 || method === "HEAD";
+    const resp = new Response(noBody ? null : res.body, { status: res.status, headers: toHeaders(res.headers) });
+    return Object.assign(resp, { redirects, finalUrl: current });
+  }
+}
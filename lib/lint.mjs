@@ -0,0 +1,159 @@
+// lib/lint.mjs
+// Structural checks on a (resolved) VAST document, per VAST 2/3/4 rules:
+//   lintVast(xml) → { summary: "pass"|"warn"|"fail", versions, ads, issues: [{ level, rule, path, message }] }
+// "error" = players are expected to reject or mis-track the ad; "warning" = works, but against
+// the spec or best practice. Runs on VMAP output too (each embedded <VAST>).
+import { XMLValidator } from "fast-xml-parser";
+import { parser, vastNodesOf } from "./resolver.mjs";
+
+const KNOWN_VERSIONS = ["2.0", "3.0", "4.0", "4.1", "4.2", "4.3"];
+const TRACKING_EVENTS = new Set([
+  "creativeView", "start", "firstQuartile", "midpoint", "thirdQuartile", "complete", "mute", "unmute", "pause",
+  "resume", "rewind", "skip", "playerExpand", "playerCollapse", "fullscreen", "exitFullscreen", "expand", "collapse",
+  "acceptInvitation", "acceptInvitationLinear", "closeLinear", "close", "progress", "timeSpentViewing",
+  "otherAdInteraction", "loaded", "notUsed", "adExpand", "adCollapse", "minimize", "overlayViewDuration",
+  "interactiveStart", "verificationNotExecuted"
+]);
+const URL_NODES = [
+  "Impression", "Error", "Tracking", "ClickThrough", "ClickTracking", "CustomClick", "MediaFile",
+  "NonLinearClickTracking", "CompanionClickThrough", "CompanionClickTracking", "Viewable", "NotViewable",
+  "ViewUndetermined", "JavaScriptResource", "IconViewTracking", "IconClickTracking", "VASTAdTagURI"
+];
+const RESOURCE_NODES = ["StaticResource", "IFrameResource", "HTMLResource"];
+const DURATION_RE = /^\d{2}:[0-5]\d:[0-5]\d(\.\d{1,3})?$/;
+const OFFSET_RE = /^(\d{2}:[0-5]\d:[0-5]\d(\.\d{1,3})?|\d{1,3}(\.\d+)?%)$/;
+
+const toArr = v => (Array.isArray(v) ? v : v ? [v] : []);
+const one   = v => (Array.isArray(v) ? v[0] : v) || null;
+const text  = n => String((typeof n === "string" ? n : n?.["#text"]) ?? "").trim();
+
+function linter() {
+  const issues = [];
+  const add = level => (rule, path, message) => issues.push({ level, rule, path, message });
+  return { issues, error: add("error"), warn: add("warning") };
+}
+
+// ───── URLs ─────────────────────────────────────────────────────────────────
+// every URL-bearing node under `node` (its own path included)
+function checkUrls(node, path, l) {
+  const walk = (n, key, p) => {
+    if (Array.isArray(n)) { n.forEach((x, k) => walk(x, key, n.length > 1 ? `${p}[${k + 1}]` : p)); return; }
+    if (!n || typeof n !== "object") return;
+    if (URL_NODES.includes(key)) {
+      const url = text(n);
+      if (!url) l.error("empty-url", p, `<${key}> has no URL.`);
+      else {
+        let u = null;
+        try { u = new URL(url); } catch {}
+        if (!u || !/^https?:$/.test(u.protocol)) l.error("bad-url", p, `<${key}> is not an absolute http(s) URL: ${url.slice(0, 120)}`);
+        else if (u.protocol !== "https:") l.warn("insecure-url", p, `<${key}> is not HTTPS: ${url.slice(0, 120)}`);
+      }
+    }
+    for (const [k, v] of Object.entries(n)) if (v && typeof v === "object" && k !== "#text") walk(v, k, `${p}/${k}`);
+  };
+  walk(node, path.split("/").pop().replace(/\[.*$/, ""), path);
+}
+
+// ───── creatives ────────────────────────────────────────────────────────────
+function checkTracking(node, path, l) {
+  for (const t of toArr(one(node?.TrackingEvents)?.Tracking)) {
+    if (!t?.event) l.error("tracking-event", `${path}/TrackingEvents/Tracking`, "<Tracking> without event attribute.");
+    else if (!TRACKING_EVENTS.has(t.event)) l.warn("tracking-event", `${path}/TrackingEvents/Tracking`, `Unknown tracking event "${t.event}".`);
+    else if (t.event === "progress" && !OFFSET_RE.test(String(t.offset || ""))) {
+      l.error("tracking-event", `${path}/TrackingEvents/Tracking`, "progress tracking needs an offset (HH:MM:SS[.mmm] or n%).");
+    }
+  }
+}
+
+function checkLinear(lin, path, version, l) {
+  const duration = text(lin.Duration);
+  if (!duration) l.error("required", `${path}/Duration`, "<Linear> has no <Duration>.");
+  else if (!DURATION_RE.test(duration)) l.error("duration", `${path}/Duration`, `Bad duration "${duration}" (HH:MM:SS[.mmm]).`);
+  if (lin.skipoffset != null && !OFFSET_RE.test(String(lin.skipoffset))) {
+    l.error("duration", path, `Bad skipoffset "${lin.skipoffset}".`);
+  }
+  const files = toArr(one(lin.MediaFiles)?.MediaFile);
+  if (!files.length) l.error("required", `${path}/MediaFiles`, "<Linear> has no <MediaFile>.");
+  files.forEach((mf, k) => {
+    const missing = ["delivery", "type", "width", "height"].filter(a => mf?.[a] == null || mf[a] === "");
+    if (missing.length) l.warn("mediafile-attrs", `${path}/MediaFiles/MediaFile[${k + 1}]`, `<MediaFile> lacks ${missing.join(", ")}.`);
+  });
+  checkTracking(lin, path, l);
+}
+
+function checkCreatives(body, path, version, l, { inline }) {
+  const creatives = toArr(one(body.Creatives)?.Creative);
+  if (inline && !creatives.length) l.error("required", `${path}/Creatives`, "<InLine> has no <Creative>.");
+  creatives.forEach((c, k) => {
+    const cp = `${path}/Creatives/Creative[${k + 1}]`;
+    const kinds = ["Linear", "NonLinearAds", "CompanionAds"].filter(n => c?.[n]);
+    if (inline && !kinds.length) l.error("required", cp, "<Creative> has no Linear, NonLinearAds or CompanionAds.");
+    if (inline && version >= 4 && c?.Linear && !c.UniversalAdId) l.warn("required", cp, "VAST 4 creatives should carry <UniversalAdId>.");
+    for (const lin of toArr(c?.Linear)) {
+      if (inline) checkLinear(lin, `${cp}/Linear`, version, l);
+      else checkTracking(lin, `${cp}/Linear`, l);
+    }
+    for (const nla of toArr(c?.NonLinearAds)) checkTracking(nla, `${cp}/NonLinearAds`, l);
+    for (const ca of toArr(c?.CompanionAds)) {
+      toArr(ca.Companion).forEach((comp, n) => {
+        if (inline && !RESOURCE_NODES.some(r => comp?.[r])) {
+          l.error("required", `${cp}/CompanionAds/Companion[${n + 1}]`, "<Companion> has no Static/IFrame/HTMLResource.");
+        }
+        checkTracking(comp, `${cp}/CompanionAds/Companion[${n + 1}]`, l);
+      });
+    }
+  });
+}
+
+// ───── ads ──────────────────────────────────────────────────────────────────
+function checkAd(ad, path, version, l) {
+  const inline = one(ad?.InLine), wrapper = one(ad?.Wrapper);
+  if (!!inline === !!wrapper) return l.error("structure", path, "<Ad> must hold exactly one of <InLine> / <Wrapper>.");
+  const body = inline || wrapper;
+  const bp = `${path}/${inline ? "InLine" : "Wrapper"}`;
+
+  if (!text(body.AdSystem)) l.error("required", `${bp}/AdSystem`, "Missing <AdSystem>.");
+  const imps = toArr(body.Impression).map(text).filter(Boolean);
+  if (inline) {
+    if (!text(body.AdTitle)) l.error("required", `${bp}/AdTitle`, "Missing <AdTitle>.");
+    if (!imps.length) l.error("required", `${bp}/Impression`, "Missing <Impression>.");
+    if (version >= 4.1 && !text(body.AdServingId)) l.warn("required", `${bp}/AdServingId`, "VAST 4.1+ InLine should carry <AdServingId>.");
+  } else {
+    if (!text(body.VASTAdTagURI)) l.error("empty-wrapper", `${bp}/VASTAdTagURI`, "Wrapper without <VASTAdTagURI>.");
+    if (!imps.length) l.warn("required", `${bp}/Impression`, "Wrapper without <Impression>.");
+  }
+  const dups = imps.filter((u, k) => imps.indexOf(u) !== k);
+  for (const u of new Set(dups)) l.warn("duplicate-impression", `${bp}/Impression`, `Impression listed more than once: ${u.slice(0, 120)}`);
+
+  checkCreatives(body, bp, version, l, { inline: !!inline });
+  checkUrls(body, bp, l);
+}
+
+// ───── entry ────────────────────────────────────────────────────────────────
+export function lintVast(xml) {
+  const l = linter();
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    l.error("xml", "/", `Not well-formed: ${valid.err?.msg} (line ${valid.err?.line})`);
+    return { summary: "fail", versions: [], ads: 0, issues: l.issues };
+  }
+  const vasts = vastNodesOf(parser.parse(xml));
+  if (!vasts.length) l.error("structure", "/", "No <VAST> element.");
+
+  let ads = 0;
+  const versions = [];
+  vasts.forEach((vast, v) => {
+    const vp = vasts.length > 1 ? `VAST[${v + 1}]` : "VAST";
+    const version = String(vast.version ?? "");
+    versions.push(version);
+    if (!version) l.error("version", vp, "<VAST> has no version attribute.");
+    else if (!KNOWN_VERSIONS.includes(version)) l.warn("version", vp, `Unknown VAST version "${version}".`);
+    const list = toArr(vast.Ad);
+    if (!list.length) l.warn("no-ad", vp, "No <Ad> (an empty VAST response).");
+    list.forEach((ad, k) => checkAd(ad, `${vp}/Ad[${ad?.id != null ? `id=${ad.id}` : k + 1}]`, Number(version) || 0, l));
+    ads += list.length;
+  });
+
+  const summary = l.issues.some(i => i.level === "error") ? "fail" : l.issues.length ? "warn" : "pass";
+  return { summary, versions, ads, issues: l.issues };
+}
@@ -0,0 +1,160 @@
+// lib/media.mjs
+// MediaFile filtering per player capabilities, applied to the merged document:
+//   { mimes: ["video/mp4"], delivery: "progressive"|"streaming", minBitrate, maxBitrate,
+//     minWidth, maxWidth, minHeight, maxHeight, stripApi: "vpaid"|"all" }
+// Files without the attribute a filter looks at (no bitrate, no width …) are kept.
+// An ad whose Linear creatives lose every file is removed from the document; non-linear-only
+// ads are left alone. In lossless mode (XML_FIDELITY / fidelity) only those elements are cut
+// out of the text; the rest of the document stays as it was.
+import { parser, builder, vastNodesOf } from "./resolver.mjs";
+import { scanXml, editor, elementsNamed, kids, kid } from "./fidelity.mjs";
+
+const MEDIA_MIMES       = process.env.MEDIA_MIMES || "";        // comma-separated default allowlist
+const MEDIA_STRIP_API   = process.env.MEDIA_STRIP_API || "";    // vpaid | all
+const MEDIA_MAX_BITRATE = Number(process.env.MEDIA_MAX_BITRATE || 0);
+const XML_FIDELITY      = process.env.XML_FIDELITY === "1";
+
+const toArr = v => (Array.isArray(v) ? v : v ? [v] : []);
+const num   = v => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+const list  = v => String(v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// ───── where filters come from ──────────────────────────────────────────────
+export function mediaFiltersFromEnv() {
+  return {
+    mimes: list(MEDIA_MIMES),
+    stripApi: MEDIA_STRIP_API.toLowerCase() || null,
+    maxBitrate: MEDIA_MAX_BITRATE || null
+  };
+}
+
+// ?mimes=video/mp4,video/webm&minBitrate=&maxBitrate=&minWidth=&maxWidth=&minHeight=&maxHeight=&delivery=&stripApi=
+export function mediaFiltersFromQuery(get, base = mediaFiltersFromEnv()) {
+  const f = { ...base };
+  if (get("mimes")) f.mimes = list(get("mimes"));
+  for (const k of ["minBitrate", "maxBitrate", "minWidth", "maxWidth", "minHeight", "maxHeight"]) {
+    if (num(get(k)) != null) f[k] = num(get(k));
+  }
+  if (get("delivery")) f.delivery = String(get("delivery")).toLowerCase();
+  if (get("stripApi")) f.stripApi = String(get("stripApi")).toLowerCase();
+  return f;
+}
+
+// OpenRTB 2.x imp.video: mimes, minbitrate/maxbitrate (kbps), delivery (1 streaming, 2 progressive,
+// 3 download), api (1/2 = VPAID). Values set on the request (query) win over the imp's.
+const DELIVERY = { 1: "streaming", 2: "progressive", 3: "progressive" };
+export function mediaFiltersFromImp(imp, base = {}) {
+  const v = imp?.video;
+  if (!v) return base;
+  const deliveries = [...new Set(toArr(v.delivery).map(d => DELIVERY[d]).filter(Boolean))];
+  const api = Array.isArray(v.api) ? v.api : null;
+  return {
+    mimes: Array.isArray(v.mimes) && v.mimes.length ? v.mimes.map(m => String(m).toLowerCase()) : undefined,
+    minBitrate: num(v.minbitrate) ?? undefined,
+    maxBitrate: num(v.maxbitrate) ?? undefined,
+    delivery: deliveries.length === 1 ? deliveries[0] : undefined,
+    stripApi: api && !api.includes(1) && !api.includes(2) ? "vpaid" : undefined,
+    ...Object.fromEntries(Object.entries(base).filter(([, val]) => val != null && !(Array.isArray(val) && !val.length)))
+  };
+}
+
+const isActive = f => !!f && Object.values(f).some(v => v != null && !(Array.isArray(v) && !v.length));
+
+// ───── filtering ────────────────────────────────────────────────────────────
+const isVpaid = mf => /vpaid/i.test(mf?.apiFramework || "") || /javascript|shockwave/i.test(mf?.type || "");
+
+function mediaFileOk(mf, f) {
+  const type = String(mf?.type || "").toLowerCase();
+  if (f.mimes?.length && !f.mimes.includes(type)) return false;
+  if (f.delivery && mf?.delivery && String(mf.delivery).toLowerCase() !== f.delivery) return false;
+  if (f.stripApi === "all" && mf?.apiFramework) return false;
+  if (f.stripApi === "vpaid" && isVpaid(mf)) return false;
+
+  // adaptive files give a range: keep when it overlaps the wanted one
+  const lo = num(mf?.minBitrate) ?? num(mf?.bitrate);
+  const hi = num(mf?.maxBitrate) ?? num(mf?.bitrate);
+  if (f.minBitrate != null && hi != null && hi < f.minBitrate) return false;
+  if (f.maxBitrate != null && lo != null && lo > f.maxBitrate) return false;
+
+  const w = num(mf?.width), h = num(mf?.height);
+  if (f.minWidth != null && w != null && w < f.minWidth) return false;
+  if (f.maxWidth != null && w != null && w > f.maxWidth) return false;
+  if (f.minHeight != null && h != null && h < f.minHeight) return false;
+  if (f.maxHeight != null && h != null && h > f.maxHeight) return false;
+  return true;
+}
+
+// filters the ad in place → false when it has Linear creatives and none kept a file
+function filterAd(ad, f, stats) {
+  const inline = toArr(ad?.InLine)[0];
+  if (!inline) return true;
+  let linears = 0, playable = 0;
+  for (const creative of toArr(toArr(inline.Creatives)[0]?.Creative)) {
+    for (const linear of toArr(creative.Linear)) {
+      linears++;
+      const mfs = toArr(linear.MediaFiles)[0];
+      const files = toArr(mfs?.MediaFile);
+      const kept = files.filter(mf => mediaFileOk(mf, f));
+      stats.kept += kept.length;
+      stats.removed += files.length - kept.length;
+      if (mfs) mfs.MediaFile = kept;
+      if (kept.length) playable++;
+    }
+  }
+  return !linears || playable > 0;
+}
+
+// → { vasts, left, stats, build }; build() gives the filtered document
+function filterDoc(xml, f) {
+  const stats = { kept: 0, removed: 0, droppedAds: 0 };
+  const doc = parser.parse(xml);
+  const vasts = vastNodesOf(doc);
+  let left = 0;
+  for (const vast of vasts) {
+    const ads = toArr(vast.Ad);
+    const keep = ads.filter(ad => filterAd(ad, f, stats));
+    stats.droppedAds += ads.length - keep.length;
+    left += keep.length;
+    if (keep.length !== ads.length) vast.Ad = keep;
+  }
+  return { vasts: vasts.length, left, stats, build: () => builder.build(doc) };
+}
+
+// the same on the scanned text: rejected files (and dropped ads) are cut out
+function filterXml(xml, f) {
+  const stats = { kept: 0, removed: 0, droppedAds: 0 };
+  const ed = editor(xml);
+  const vasts = elementsNamed(scanXml(xml), "VAST");
+  let left = 0;
+  for (const ad of vasts.flatMap(vast => kids(vast, "Ad"))) {
+    const rejected = [];
+    let linears = 0, playable = 0;
+    for (const creative of kids(kid(kid(ad, "InLine"), "Creatives"), "Creative")) {
+      for (const linear of kids(creative, "Linear")) {
+        linears++;
+        const files = kids(kid(linear, "MediaFiles"), "MediaFile");
+        const kept = files.filter(mf => mediaFileOk(mf.attrs, f));
+        stats.kept += kept.length;
+        stats.removed += files.length - kept.length;
+        rejected.push(...files.filter(mf => !kept.includes(mf)));
+        if (kept.length) playable++;
+      }
+    }
+    if (!linears || playable > 0) { left++; rejected.forEach(ed.remove); }
+    else { stats.droppedAds++; ed.remove(ad); }
+  }
+  return { vasts: vasts.length, left, stats, build: () => ed.apply() };
+}
+
+// → { xml, usable, kept, removed, droppedAds }. `usable` is false when no ad is left to play;
+// xml is then the input, untouched (callers decide between "no ad" and passing it on).
+export function filterMediaFiles(xml, filters, { fidelity = XML_FIDELITY } = {}) {
+  if (!isActive(filters)) return { xml, usable: true, kept: 0, removed: 0, droppedAds: 0 };
+  let out = null;
+  if (fidelity) {
+    try { out = filterXml(xml, filters); } catch {} // fall back to the builder
+  }
+  const { vasts, left, stats, build } = out || filterDoc(xml, filters);
+  if (!vasts) return { xml, usable: true, ...stats };
+  if (!left) return { xml, usable: false, ...stats };
+  return { xml: stats.removed ? build() : xml, usable: true, ...stats };
+}
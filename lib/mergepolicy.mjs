@@ -0,0 +1,121 @@
+// lib/mergepolicy.mjs
+// How wrapper nodes are merged into the InLine they resolve to, per node type:
+//   { Impression, Tracking, Verification, Viewable, Error: "keep-all" | "dedup" | "canonical-dedup",
+//     volatileParams: [...], origin: "none" | "extension" }
+//  - keep-all: every wrapper node is appended
+//  - dedup: a wrapper node equal to one already there (same URL; Tracking: same event/offset
+//    and URL; Verification: same markup) is skipped
+//  - canonical-dedup: like dedup, but URLs are compared without `volatileParams`
+//    (cachebusters …), query order and fragment; Verifications by vendor + resource URLs
+// Tracking covers the click-tracking nodes too. The InLine's own nodes are never removed.
+// `origin: "extension"` records where merged impressions came from in an
+// <Extension type="unwrap-origin"> (spec-compliant, unlike an attribute on <Impression>).
+// Sources, later ones winning: defaults (IMP_DEDUP=1 → Impression: dedup), MERGE_POLICY (JSON),
+// the partner's entry in MERGE_POLICY_PARTNERS (JSON { name: { hosts, seats, ...policy } },
+// matched by tag / nurl host or OpenRTB seat), then the request (?merge=Impression:dedup,…
+// &volatileParams=cb,ts&origin=extension).
+export const MERGE_NODE_TYPES = ["Impression", "Tracking", "Verification", "Viewable", "Error"];
+export const MERGE_MODES = ["keep-all", "dedup", "canonical-dedup"];
+export const VOLATILE_PARAMS = ["cb", "cachebuster", "cachebusting", "rnd", "rand", "random", "ord", "correlator", "ts", "timestamp"];
+
+const badPolicy = message => Object.assign(new Error(`Invalid merge policy: ${message}`), { statusCode: 400 });
+const list = v => (Array.isArray(v) ? v : String(v ?? "").split(",")).map(s => String(s).trim()).filter(Boolean);
+
+// build(parsed JSON of env `name`) → value; a malformed or invalid variable is ignored with a warning
+// rather than failing every module that imports this one
+function envPolicy(name, build) {
+  const raw = process.env[name];
+  try {
+    return build(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn(`[mergepolicy] ignoring ${name}: ${e.message}`);
+    return build(null);
+  }
+}
+
+// partial policy → checked partial policy (unknown keys ignored)
+function checked(p = {}) {
+  const out = {};
+  for (const type of MERGE_NODE_TYPES) {
+    if (p[type] == null) continue;
+    if (!MERGE_MODES.includes(p[type])) throw badPolicy(`${type}: "${p[type]}" (one of ${MERGE_MODES.join(", ")})`);
+    out[type] = p[type];
+  }
+  if (p.volatileParams != null) out.volatileParams = list(p.volatileParams).map(s => s.toLowerCase());
+  if (p.origin != null) {
+    if (!["none", "extension"].includes(p.origin)) throw badPolicy(`origin: "${p.origin}" (none or extension)`);
+    out.origin = p.origin;
+  }
+  return out;
+}
+
+export const DEFAULT_MERGE_POLICY = Object.freeze({
+  Impression: process.env.IMP_DEDUP === "1" ? "dedup" : "keep-all", // keep all by default, to verify
+  Tracking: "dedup",
+  Verification: "dedup",
+  Viewable: "dedup",
+  Error: "dedup",
+  volatileParams: VOLATILE_PARAMS,
+  origin: "none",
+  ...envPolicy("MERGE_POLICY", p => checked(p || {}))
+});
+
+// ───── where a policy comes from ────────────────────────────────────────────
+// ?merge=Impression:canonical-dedup,Tracking:keep-all&volatileParams=cb,ts&origin=extension → partial
+export function mergePolicyOverrides(get) {
+  const p = {};
+  for (const pair of list(get("merge"))) {
+    const [type, mode] = pair.split(":").map(s => s.trim());
+    const known = MERGE_NODE_TYPES.find(t => t.toLowerCase() === String(type).toLowerCase());
+    if (!known) throw badPolicy(`unknown node type "${type}" (one of ${MERGE_NODE_TYPES.join(", ")})`);
+    p[known] = mode;
+  }
+  if (get("volatileParams") != null) p.volatileParams = get("volatileParams");
+  if (get("origin") != null) p.origin = get("origin");
+  return checked(p);
+}
+
+const PARTNERS = envPolicy("MERGE_POLICY_PARTNERS", partners => Object.values(partners || {}).map(p => ({
+  hosts: list(p?.hosts).map(h => h.toLowerCase()),
+  seats: list(p?.seats),
+  policy: checked(p || {})
+})));
+
+const hostOf = url => { try { return new URL(url).hostname.toLowerCase(); } catch { return null; } };
+
+// the policy for one tag (url) / bid (url = nurl or VAST URL, seat), request overrides on top
+export function mergePolicyFor({ url = null, seat = null } = {}, overrides = {}) {
+  const host = url ? hostOf(url) : null;
+  const partner = PARTNERS.find(p =>
+    (host && p.hosts.some(h => h === host || host.endsWith(`.${h}`))) || (seat != null && p.seats.includes(String(seat))));
+  return { ...DEFAULT_MERGE_POLICY, ...partner?.policy, ...overrides };
+}
+
+// "" for the default policy, else a stable string (part of the resolver's cache key)
+export function mergePolicyKey(policy = DEFAULT_MERGE_POLICY) {
+  const diff = Object.entries(policy).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(DEFAULT_MERGE_POLICY[k]));
+  return diff.length ? JSON.stringify(Object.fromEntries(diff.sort(([a], [b]) => (a < b ? -1 : 1)))) : "";
+}
+
+// ───── comparing nodes ──────────────────────────────────────────────────────
+export function canonicalUrl(raw, volatileParams = VOLATILE_PARAMS) {
+  const drop = new Set(volatileParams);
+  try {
+    const u = new URL(String(raw).trim());
+    for (const k of [...u.searchParams.keys()]) if (drop.has(k.toLowerCase())) u.searchParams.delete(k);
+    u.searchParams.sort();
+    u.hash = "";
+    return u.href;
+  } catch { return String(raw).trim(); }
+}
+
+// → { mode: { [type]: mode }, url: { [type]: url → key, or null for keep-all } }
+export function mergeKeys(policy = DEFAULT_MERGE_POLICY) {
+  const url = {};
+  for (const type of MERGE_NODE_TYPES) {
+    url[type] = policy[type] === "keep-all" ? null
+      : policy[type] === "canonical-dedup" ? u => canonicalUrl(u, policy.volatileParams)
+      : u => String(u).trim();
+  }
+  return { mode: Object.fromEntries(MERGE_NODE_TYPES.map(t => [t, policy[t]])), url, origin: policy.origin };
+}
@@ -0,0 +1,114 @@
+// lib/metrics.mjs
+// In-process counters and histograms, rendered in the Prometheus text format (0.0.4) by
+// /api/metrics. Each instance keeps its own numbers (scrape every instance, or sum them);
+// nothing is persisted.
+//   counter(name, help).inc(labels, n)      histogram(name, help, buckets).observe(labels, v)
+// Besides the totals, outcomes are kept per minute for the last RECENT_WINDOW_MS, for the
+// error rates /api/_health reports (recordOutcome / recentRates).
+const PREFIX           = "vast_unwrapper_";
+const RECENT_WINDOW_MS = Number(process.env.METRICS_RECENT_WINDOW_MS || 300_000);
+const MAX_SERIES       = Number(process.env.METRICS_MAX_SERIES || 2000); // per metric; further label sets → "other"
+
+const registry = new Map(); // name → { type, help, series: Map(labelKey → { labels, … }) }
+
+const escapeLabel = v => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelKey = labels => Object.keys(labels).sort().map(k => `${k}="${escapeLabel(labels[k] ?? "")}"`).join(",");
+
+function seriesOf(metric, labels, init) {
+  let key = labelKey(labels);
+  if (!metric.series.has(key) && metric.series.size >= MAX_SERIES) {
+    labels = Object.fromEntries(Object.keys(labels).map(k => [k, "other"]));
+    key = labelKey(labels);
+  }
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+  return metric.series.get(key);
+}
+
+function define(name, type, help, extra = {}) {
+  const full = PREFIX + name;
+  if (!registry.has(full)) registry.set(full, { type, help, series: new Map(), ...extra });
+  return registry.get(full);
+}
+
+// ───── metric types ─────────────────────────────────────────────────────────
+export function counter(name, help) {
+  const m = define(name, "counter", help);
+  return { inc: (labels = {}, n = 1) => { seriesOf(m, labels, () => ({ value: 0 })).value += n; } };
+}
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const m = define(name, "histogram", help, { buckets });
+  return {
+    observe: (labels = {}, v) => {
+      const s = seriesOf(m, labels, () => ({ counts: new Array(m.buckets.length).fill(0), sum: 0, count: 0 }));
+      m.buckets.forEach((b, k) => { if (v <= b) s.counts[k]++; });
+      s.sum += v;
+      s.count++;
+    }
+  };
+}
+
+// ───── the service's metrics ────────────────────────────────────────────────
+export const metrics = {
+  hopDuration:      histogram("hop_duration_seconds", "Downstream VAST hop fetches by host and HTTP status (error: no response)."),
+  cacheLookups:     counter("cache_lookups_total", "Cache reads by layer (hop: one tag response, chain: a resolved tag) and status."),
+  chainDepth:       histogram("chain_depth", "Wrapper hops followed per resolved chain.", [0, 1, 2, 3, 4, 5, 6, 8, 10]),
+  unwrapOutcomes:   counter("unwrap_outcomes_total", "Unwrap results by handler and outcome (ok, or the VAST error code)."),
+  bidOutcomes:      counter("bid_outcomes_total", "OpenRTB bids by what the proxy did with them (ext.unwrap)."),
+  rvMerges:         counter("rv_merge_total", "SSP wrapper recovery merges by adapter and reason (ext.unwrap.reason; merged when applied)."),
+  upstreamDuration: histogram("upstream_duration_seconds", "OpenRTB bid endpoint calls by host and status (timeout, error)."),
+  upstreamTimeouts: counter("upstream_timeouts_total", "OpenRTB bid endpoint calls that hit UPSTREAM_TIMEOUT_MS.")
+};
+
+export const hostOf = url => { try { return new URL(url).host.toLowerCase(); } catch { return "invalid"; } };
+
+// ───── recent outcomes (per-minute slots) ───────────────────────────────────
+const SLOT_MS = 60_000;
+const recent = new Map(); // kind → Map(slot → { total, errors })
+
+export function recordOutcome(kind, ok) {
+  const slot = Math.floor(Date.now() / SLOT_MS);
+  if (!recent.has(kind)) recent.set(kind, new Map());
+  const slots = recent.get(kind);
+  const s = slots.get(slot) || { total: 0, errors: 0 };
+  s.total++;
+  if (!ok) s.errors++;
+  slots.set(slot, s);
+  for (const k of slots.keys()) if (k <= slot - RECENT_WINDOW_MS / SLOT_MS) slots.delete(k);
+}
+
+// → { windowSec, [kind]: { total, errors, errorRate } }
+export function recentRates() {
+  const from = Math.floor(Date.now() / SLOT_MS) - RECENT_WINDOW_MS / SLOT_MS;
+  const out = { windowSec: RECENT_WINDOW_MS / 1000 };
+  for (const [kind, slots] of recent) {
+    let total = 0, errors = 0;
+    for (const [k, s] of slots) if (k > from) { total += s.total; errors += s.errors; }
+    out[kind] = { total, errors, errorRate: total ? Number((errors / total).toFixed(4)) : 0 };
+  }
+  return out;
+}
+
+// ───── exposition ───────────────────────────────────────────────────────────
+const fmt = v => (Number.isFinite(v) ? String(v) : v > 0 ? "+Inf" : v < 0 ? "-Inf" : "NaN");
+const withLabels = (key, extra = "") => (key || extra ? `{${[key, extra].filter(Boolean).join(",")}}` : "");
+
+// `gauges`: [{ name, help, value, labels }] sampled at scrape time (cache size …)
+export function renderPrometheus(gauges = []) {
+  const lines = [];
+  for (const [name, m] of registry) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [key, s] of m.series) {
+      if (m.type === "counter") { lines.push(`${name}${withLabels(key)} ${fmt(s.value)}`); continue; }
+      m.buckets.forEach((b, k) => lines.push(`${name}_bucket${withLabels(key, `le="${b}"`)} ${s.counts[k]}`));
+      lines.push(`${name}_bucket${withLabels(key, 'le="+Inf"')} ${s.count}`, `${name}_sum${withLabels(key)} ${fmt(s.sum)}`, `${name}_count${withLabels(key)} ${s.count}`);
+    }
+  }
+  for (const g of gauges) {
+    if (g.value == null) continue;
+    const name = PREFIX + g.name;
+    lines.push(`# HELP ${name} ${g.help}`, `# TYPE ${name} gauge`, `${name}${withLabels(labelKey(g.labels || {}))} ${fmt(Number(g.value))}`);
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,145 @@
+// lib/model.mjs
+// Normalized JSON view of a (resolved) VAST document, for reporting pipelines that should not
+// have to parse XML:
+//   adModel(xml, { origins }) → { version, ads: [{ id, sequence, type, adSystem, adTitle,
+//     impressions: [{ url, from, depth }], errors, creatives, verifications, viewable }] }
+// `origins` is what resolveToInlineWithMeta / unwrapAdmIfWrapper return with { origins: true }
+// (one list per served ad); they are matched by URL, in document order, so ads dropped in
+// between (media filters) do not shift them. Unmatched impressions get `defaultOrigin` ({ from, depth }).
+// Tracking is grouped by event ({ start: [url, …], … }); progress events are keyed
+// "progress@<offset>".
+import { parser, vastNodesOf } from "./resolver.mjs";
+
+const toArr = v => (Array.isArray(v) ? v : v ? [v] : []);
+const one   = v => (Array.isArray(v) ? v[0] : v) || null;
+const text  = n => (n == null ? null : String((typeof n === "object" ? n["#text"] : n) ?? "").trim() || null);
+const urls  = v => toArr(v).map(text).filter(Boolean);
+const num   = v => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// copies the listed attributes that are set (numbers where they look like one)
+const attrs = (node, names, numeric = []) => Object.fromEntries(
+  names.filter(a => node?.[a] != null && node[a] !== "").map(a => [a, numeric.includes(a) ? num(node[a]) : String(node[a])])
+);
+
+function trackingOf(node) {
+  const out = {};
+  for (const t of toArr(one(node?.TrackingEvents)?.Tracking)) {
+    const url = text(t);
+    if (!url || !t?.event) continue;
+    const key = t.event === "progress" && t.offset != null ? `progress@${t.offset}` : t.event;
+    (out[key] ||= []).push(url);
+  }
+  return out;
+}
+
+function resourcesOf(node) {
+  return ["StaticResource", "IFrameResource", "HTMLResource"].flatMap(kind => toArr(node?.[kind]).map(r => ({
+    kind: kind.replace("Resource", "").toLowerCase(),
+    ...(r?.creativeType ? { creativeType: String(r.creativeType) } : {}),
+    value: text(r)
+  })));
+}
+
+// ───── creatives ────────────────────────────────────────────────────────────
+function linearOf(lin) {
+  const clicks = one(lin?.VideoClicks);
+  return {
+    duration: text(lin?.Duration),
+    ...(lin?.skipoffset != null ? { skipoffset: String(lin.skipoffset) } : {}),
+    mediaFiles: toArr(one(lin?.MediaFiles)?.MediaFile).map(mf => ({
+      url: text(mf),
+      ...attrs(mf, ["id", "type", "delivery", "width", "height", "bitrate", "minBitrate", "maxBitrate", "codec", "apiFramework", "scalable", "maintainAspectRatio"],
+        ["width", "height", "bitrate", "minBitrate", "maxBitrate"])
+    })),
+    clickThrough: text(clicks?.ClickThrough),
+    clickTracking: urls(clicks?.ClickTracking),
+    tracking: trackingOf(lin)
+  };
+}
+
+function creativeOf(c) {
+  const uaid = one(c?.UniversalAdId);
+  const base = {
+    ...attrs(c, ["id", "adId", "sequence", "apiFramework"]),
+    ...(uaid ? { universalAdId: { idRegistry: uaid.idRegistry ?? null, value: text(uaid) } } : {})
+  };
+  if (c?.Linear) return { ...base, type: "linear", ...linearOf(one(c.Linear)) };
+  if (c?.NonLinearAds) {
+    const nla = one(c.NonLinearAds);
+    return {
+      ...base, type: "nonlinear",
+      nonLinear: toArr(nla?.NonLinear).map(nl => ({
+        ...attrs(nl, ["id", "width", "height", "minSuggestedDuration"], ["width", "height"]),
+        resources: resourcesOf(nl),
+        clickThrough: text(nl?.NonLinearClickThrough),
+        clickTracking: urls(nl?.NonLinearClickTracking)
+      })),
+      tracking: trackingOf(nla)
+    };
+  }
+  if (c?.CompanionAds) {
+    return {
+      ...base, type: "companion",
+      companions: toArr(one(c.CompanionAds)?.Companion).map(comp => ({
+        ...attrs(comp, ["id", "width", "height", "adSlotId"], ["width", "height"]),
+        resources: resourcesOf(comp),
+        clickThrough: text(comp?.CompanionClickThrough),
+        clickTracking: urls(comp?.CompanionClickTracking),
+        tracking: trackingOf(comp)
+      }))
+    };
+  }
+  return { ...base, type: "unknown" };
+}
+
+// ───── ads ──────────────────────────────────────────────────────────────────
+function verificationOf(v) {
+  const resources = kind => toArr(v?.[kind]).map(r => ({ url: text(r), ...attrs(r, ["apiFramework", "type", "browserOptional", "language"]) }));
+  return {
+    vendor: v?.vendor ?? null,
+    javaScriptResources: resources("JavaScriptResource"),
+    executableResources: resources("ExecutableResource"),
+    parameters: text(v?.VerificationParameters),
+    tracking: trackingOf(v)
+  };
+}
+
+function adOf(ad, known, defaultOrigin) {
+  const inline = one(ad?.InLine), wrapper = one(ad?.Wrapper);
+  const body = inline || wrapper || {};
+  const impressions = toArr(body.Impression).map(imp => {
+    const url = text(imp);
+    const k = known.findIndex(o => o.url === url);
+    const origin = k < 0 ? defaultOrigin : known.splice(k, 1)[0];
+    return { url, ...(imp?.id ? { id: String(imp.id) } : {}), from: origin.from, depth: origin.depth };
+  }).filter(i => i.url);
+  const vi = one(body.ViewableImpression);
+
+  return {
+    id: ad?.id ?? null,
+    sequence: num(ad?.sequence),
+    type: inline ? "inline" : wrapper ? "wrapper" : "unknown",
+    adSystem: text(body.AdSystem),
+    adTitle: text(body.AdTitle),
+    adServingId: text(body.AdServingId),
+    ...(wrapper ? { vastAdTagUri: text(wrapper.VASTAdTagURI) } : {}),
+    impressions,
+    errors: urls(body.Error),
+    creatives: toArr(one(body.Creatives)?.Creative).map(creativeOf),
+    verifications: toArr(one(body.AdVerifications)?.Verification).map(verificationOf),
+    viewable: {
+      viewable: urls(vi?.Viewable),
+      notViewable: urls(vi?.NotViewable),
+      viewUndetermined: urls(vi?.ViewUndetermined)
+    }
+  };
+}
+
+export function adModel(xml, { origins = null, defaultOrigin = { from: null, depth: null } } = {}) {
+  const vasts = vastNodesOf(parser.parse(xml));
+  const known = (origins || []).flat(); // consumed as impressions are matched
+  return {
+    version: vasts[0]?.version != null ? String(vasts[0].version) : null,
+    ads: vasts.flatMap(vast => toArr(vast.Ad)).map(ad => adOf(ad, known, defaultOrigin))
+  };
+}
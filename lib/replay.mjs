@@ -0,0 +1,206 @@
+// lib/replay.mjs
+// Record / replay of every outbound request (hops, error pixels, RV fetches, the OpenRTB
+// upstream call), so a broken chain can be attached to a ticket and re-run offline.
+//  - RECORD_DIR=<dir>: each handler call writes <dir>/<name>.json, a bundle of
+//      { version, handler, recordedAt, request: { method, url, headers, body },
+//        exchanges: [{ method, url, requestHeaders, requestBody, status, headers, body, redirects, error, ms }],
+//        (requestHeaders allow-listed, personal fields of requestBody redacted)
+//        response: { status, headers, body } }
+//    and answers with `X-Unwrap-Recording: <name>`. The cache is off while recording
+//    (a hit would leave its hop out of the bundle).
+//  - REPLAY_BUNDLE=<file>: outbound requests are answered from that bundle, never the
+//    network; replayRecording(bundle) re-runs the recorded handler request against it.
+// Requests are matched by method + URL; URLs that differ (cachebusters, timestamps) fall back
+// to the same origin + path with the most query parameters in common. Repeats take the next
+// recording of that URL, then the last one again. Anything unmatched fails like a network error.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const RECORD_DIR    = process.env.RECORD_DIR || "";
+const REPLAY_BUNDLE = process.env.REPLAY_BUNDLE || "";
+// request headers worth keeping (replaying needs no cookies or credentials)
+const KEEP_HEADERS  = ["host", "user-agent", "x-forwarded-for", "accept-language", "referer", "content-type", "x-bid-endpoint", "x-bid-endpoint-b64"];
+// outbound requests are kept for reading only (replay matches on method + URL): their headers also lose the
+// client's address, and these fields are redacted wherever they sit in a JSON body (the OpenRTB request)
+const KEEP_OUTBOUND_HEADERS = KEEP_HEADERS.filter(k => k !== "x-forwarded-for");
+const PERSONAL_FIELDS = new Set([
+  "ifa", "ip", "ipv6", "didsha1", "didmd5", "dpidsha1", "dpidmd5", "macsha1", "macmd5", "geo",
+  "buyeruid", "eids", "consent", "gpp", "us_privacy"
+]);
+const REDACTED = "[redacted]";
+
+export const fetchMode = () => (REPLAY_BUNDLE ? "replay" : RECORD_DIR ? "record" : "live");
+
+const scope = new AsyncLocalStorage(); // { recording } | { replay }
+let globalReplay = null;
+
+const pick = (headers, keys) => Object.fromEntries(
+  Object.entries(headers || {}).filter(([k]) => keys.includes(k.toLowerCase())).map(([k, v]) => [k.toLowerCase(), String(v)])
+);
+const plainHeaders = h => (h instanceof Headers ? Object.fromEntries(h.entries()) : { ...h });
+
+function redactJson(v, key = "") {
+  if (Array.isArray(v)) return v.map(x => redactJson(x, key));
+  if (!v || typeof v !== "object") return v;
+  return Object.fromEntries(Object.entries(v).map(([k, x]) =>
+    [k, PERSONAL_FIELDS.has(k) || (key === "user" && k === "id") ? REDACTED : redactJson(x, k)]));
+}
+// non-JSON bodies are dropped whole
+const redactBody = body => {
+  try { return JSON.stringify(redactJson(JSON.parse(body))); } catch { return REDACTED; }
+};
+
+// ───── replay source ────────────────────────────────────────────────────────
+function replaySource(bundle) {
+  const exchanges = bundle?.exchanges || [];
+  const used = new Set();
+  const sameKey = (x, method, url) => x.method === method && x.url === url;
+  const closest = (method, url) => {
+    let u;
+    try { u = new URL(url); } catch { return null; }
+    let best = null, bestScore = -1;
+    for (const x of exchanges) {
+      let v;
+      try { v = new URL(x.url); } catch { continue; }
+      if (x.method !== method || v.origin !== u.origin || v.pathname !== u.pathname) continue;
+      const score = [...u.searchParams].filter(([k, val]) => v.searchParams.get(k) === val).length - (used.has(x) ? 1000 : 0);
+      if (score > bestScore) { best = x; bestScore = score; }
+    }
+    return best;
+  };
+  return {
+    take(method, url) {
+      const exact = exchanges.filter(x => sameKey(x, method, url));
+      const x = exact.find(e => !used.has(e)) || exact.at(-1) || closest(method, url);
+      if (x) used.add(x);
+      return x || null;
+    }
+  };
+}
+
+function replayResponse(x, url) {
+  if (!x) {
+    throw Object.assign(new Error(`Not in replay bundle: ${url}`), { replay: "unmatched" });
+  }
+  if (x.error) throw Object.assign(new Error(x.error.message), { name: x.error.name || "Error", ...(x.error.blocked ? { blocked: x.error.blocked } : {}) });
+  const noBody = [101, 204, 205, 304].includes(x.status);
+  const resp = new Response(noBody ? null : x.body ?? "", { status: x.status, headers: x.headers || {} });
+  return Object.assign(resp, { redirects: x.redirects || [], finalUrl: x.redirects?.at(-1) || x.url });
+}
+
+// ───── the one entry point for outbound requests ────────────────────────────
+// live(url, init) is the real fetch; its Response is rebuilt after reading the body so the
+// caller still gets an unread one (redirects / finalUrl carried over).
+export async function recordedFetch(url, init = {}, live) {
+  const store = scope.getStore();
+  const method = String(init.method || "GET").toUpperCase();
+  const replay = store?.replay || (fetchMode() === "replay" ? (globalReplay ||= replaySource(loadBundle(REPLAY_BUNDLE))) : null);
+  if (replay) return replayResponse(replay.take(method, url), url);
+
+  const recording = store?.recording;
+  if (!recording) return live(url, init);
+
+  const x = {
+    method, url,
+    requestHeaders: pick(plainHeaders(init.headers || {}), KEEP_OUTBOUND_HEADERS),
+    ...(init.body != null ? { requestBody: redactBody(String(init.body)) } : {})
+  };
+  recording.exchanges.push(x);
+  const startedAt = Date.now();
+  try {
+    const resp = await live(url, init);
+    const body = await resp.text();
+    Object.assign(x, {
+      status: resp.status,
+      headers: Object.fromEntries(resp.headers.entries()),
+      body,
+      ...(resp.redirects?.length ? { redirects: resp.redirects } : {}),
+      ms: Date.now() - startedAt
+    });
+    return replayResponse(x, url);
+  } catch (e) {
+    x.error = { name: e?.name, message: e?.message || String(e), ...(e?.blocked ? { blocked: e.blocked } : {}) };
+    x.ms = Date.now() - startedAt;
+    throw e;
+  }
+}
+
+// ───── recording handler calls ──────────────────────────────────────────────
+async function readRawBody(req) {
+  if (req.body != null) return req.body;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// wraps res so the bundle also holds what the handler answered
+function capture(res, out) {
+  for (const m of ["status", "setHeader", "send", "json", "end"]) {
+    const orig = res[m]?.bind(res);
+    if (!orig) continue;
+    res[m] = (...args) => {
+      if (m === "status") out.status = args[0];
+      else if (m === "setHeader") out.headers[String(args[0]).toLowerCase()] = args[1];
+      else if (m !== "end" || args[0] != null) out.body = args[0];
+      return orig(...args);
+    };
+  }
+}
+
+// export default withRecording("unwrap", handler): a no-op unless RECORD_DIR is set
+export function withRecording(name, handler) {
+  if (fetchMode() !== "record") return handler;
+  return async (req, res) => {
+    // the body stream can only be read once: keep it on req for the handler
+    if (req.method === "POST") req.body = await readRawBody(req);
+    const id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${name}-${crypto.randomBytes(3).toString("hex")}`;
+    const recording = {
+      version: 1,
+      handler: name,
+      recordedAt: new Date().toISOString(),
+      request: { method: req.method, url: req.url, headers: pick(req.headers, KEEP_HEADERS), ...(req.body != null ? { body: req.body } : {}) },
+      exchanges: [],
+      response: { status: 200, headers: {}, body: null }
+    };
+    capture(res, recording.response);
+    res.setHeader("X-Unwrap-Recording", id);
+    try {
+      return await scope.run({ recording }, () => handler(req, res));
+    } finally {
+      try {
+        await fs.promises.mkdir(RECORD_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(RECORD_DIR, `${id}.json`), JSON.stringify(recording, null, 1));
+      } catch (e) {
+        console.error(`[replay] could not write ${id}: ${e?.message || e}`);
+      }
+    }
+  };
+}
+
+// ───── replaying ────────────────────────────────────────────────────────────
+export function loadBundle(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw Object.assign(new Error(`Cannot read replay bundle ${file}: ${e.message}`), { statusCode: 500 }); }
+}
+
+// Runs the bundle's handler on its recorded request, answering every outbound request from
+// the bundle → { status, headers, body } (compare with bundle.response)
+export async function replayRecording(bundle, handlers) {
+  const handler = handlers[bundle.handler];
+  if (!handler) throw new Error(`No handler "${bundle.handler}" to replay`);
+  const out = { status: 200, headers: {}, body: null };
+  const res = {
+    status(c) { out.status = c; return this; },
+    setHeader(k, v) { out.headers[String(k).toLowerCase()] = v; return this; },
+    send(b) { out.body = b; return this; },
+    json(b) { out.body = b; return this; },
+    end(b) { if (b != null) out.body = b; return this; }
+  };
+  const { method, url, headers, body } = bundle.request;
+  const query = Object.fromEntries(new URL(url, "https://replay").searchParams);
+  const req = { method, url, headers: { host: "replay", ...headers }, query, ...(body != null ? { body } : {}), socket: {} };
+  await scope.run({ replay: replaySource(bundle) }, () => handler(req, res));
+  return out;
+}
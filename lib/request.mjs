@@ -0,0 +1,57 @@
+// lib/request.mjs
+// What the handlers read off an incoming request: VAST macro values, the hop forwarding context
+// after the consent policy, merge policy overrides, and the raw body.
+import { clientFromRequest, privacyFromQuery, forwardContext } from "./client.mjs";
+import { mergePolicyOverrides } from "./mergepolicy.mjs";
+
+// ?ifa=…&gdpr_consent=… → VAST macro values (anything the player knows better than our headers)
+const QUERY_MACROS = {
+  ifa: "IFA", ifa_type: "IFATYPE", lmt: "LIMITADTRACKING", ip: "IPADDRESS", ua: "DEVICEUA",
+  latlong: "LATLONG", app_bundle: "APPBUNDLE", domain: "DOMAIN", page_url: "PAGEURL",
+  gdpr_consent: "GDPRCONSENT", regulations: "REGULATIONS", gpp: "GPPSTRING", gpp_sid: "GPPSECTIONID",
+  client_ua: "CLIENTUA", player_size: "PLAYERSIZE", content_id: "CONTENTID", transaction_id: "TRANSACTIONID"
+};
+
+export function macrosFromRequest(req, searchParams) {
+  const h = req.headers || {};
+  const ip = String(h["x-forwarded-for"] || "").split(",")[0].trim() || h["x-real-ip"] || req.socket?.remoteAddress;
+  let referer = null;
+  try { referer = h.referer ? new URL(h.referer) : null; } catch {}
+
+  const macros = {
+    DEVICEUA: h["user-agent"],
+    IPADDRESS: ip,
+    DEVICEIP: ip,
+    PAGEURL: referer?.href,
+    DOMAIN: referer?.hostname
+  };
+  for (const [param, macro] of Object.entries(QUERY_MACROS)) {
+    const v = searchParams.get(param);
+    if (v != null && v !== "") macros[macro] = v;
+  }
+  if (macros.IPADDRESS !== ip) macros.DEVICEIP = macros.IPADDRESS;
+  return macros;
+}
+
+// macros + hop headers after the consent policy (lib/client.mjs) → { macros, headers, withheld, personalData }
+export function forwardingFromRequest(req, searchParams) {
+  return forwardContext(clientFromRequest(req), privacyFromQuery(k => searchParams.get(k)), macrosFromRequest(req, searchParams));
+}
+
+// ?merge=Impression:canonical-dedup,…&volatileParams=…&origin=extension → partial merge policy
+// (lib/mergepolicy.mjs); invalid → statusCode 400
+export const mergeOverridesFromRequest = searchParams => mergePolicyOverrides(k => searchParams.get(k));
+
+// Raw request body (a parsed req.body is passed through); larger than `maxBytes` → statusCode 413
+export async function readRequestBody(req, maxBytes) {
+  if (req.body != null && !Buffer.isBuffer(req.body)) return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw Object.assign(new Error(`Body larger than ${maxBytes} bytes`), { statusCode: 413 });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
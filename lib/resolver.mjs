@@ -1,60 +1,194 @@
 // lib/resolver.mjs
-import { XMLParser, XMLBuilder } from "fast-xml-parser";
+import crypto from "node:crypto";
+import { XMLParser, XMLBuilder, XMLValidator } from "fast-xml-parser";
+import { createStoreFromEnv, createNullStore, readThrough, cachePolicyFromHeaders } from "./cache.mjs";
+import { safeFetch } from "./http.mjs";
+import { adSpans, assembleVast, setRootAttr, mapElementText, mergeWrapperAdXml } from "./fidelity.mjs";
+import { metrics, hostOf, recordOutcome } from "./metrics.mjs";
+import { recordedFetch, fetchMode } from "./replay.mjs";
+import { DEFAULT_MERGE_POLICY, mergeKeys, mergePolicyKey, canonicalUrl } from "./mergepolicy.mjs";
 
 const MAX_DEPTH      = Number(process.env.MAX_DEPTH      || 8);
 const TIMEOUT_MS     = Number(process.env.TIMEOUT_MS     || 2500);
 const CACHE_TTL_MS   = Number(process.env.CACHE_TTL_MS   || 60_000);
+const CACHE_SWR_MS   = Number(process.env.CACHE_SWR_MS   || 0);
+const PIXEL_TIMEOUT_MS = Number(process.env.PIXEL_TIMEOUT_MS || 1000);
 const DOWNSTREAM_UA  = process.env.DOWNSTREAM_UA || "VAST-Resolver/1.2";
 const DEBUG          = process.env.DEBUG === "1";
-const IMP_DEDUP      = process.env.IMP_DEDUP === "1"; // default off → keep all to verify
+const XML_FIDELITY   = process.env.XML_FIDELITY === "1"; // lossless text-edit merge when "1" (see lib/fidelity.mjs); off by default
 
-// ───── cache ────────────────────────────────────────────────────────────────
-const cache = new Map();
-const cacheGet = k => { const v = cache.get(k); if (!v) return null; if (Date.now() > v.exp) { cache.delete(k); return null; } return v.val; };
-const cacheSet = (k, val, ttl = CACHE_TTL_MS) => cache.set(k, { val, exp: Date.now() + ttl });
+// ───── cache (see lib/cache.mjs; CACHE_BACKEND=memory|redis|none) ──────────
+// off while recording or replaying (lib/replay.mjs): every hop has to go through the bundle,
+// so concurrent calls do not share loads either (each one's bundle records its own fetches)
+let cacheStore = fetchMode() === "live" ? createStoreFromEnv() : createNullStore();
+const readOptions = { coalesce: fetchMode() === "live" };
+export const setCacheStore = store => { cacheStore = store; };
+export const getCacheStats = () => cacheStore.stats();
 
-// ───── http ────────────────────────────────────────────────────────────────
+// Entries are per expanded URL and per forwarded context (macro values, client headers, the
+// consent decision): a hop answer may be personalized, and one user's must never be served to
+// another — least of all to a user whose consent withholds identifiers. A tag carrying a
+// per-request macro ([CACHEBUSTING], [TIMESTAMP]) asks not to be cached; nor is its chain.
+const PER_REQUEST_MACRO = /\[(?:CACHEBUSTING|TIMESTAMP)\]|%5B(?:CACHEBUSTING|TIMESTAMP)%5D/i;
+function contextKey(macros = {}, headers = {}, personalData = true) {
+  const pairs = [...Object.entries(macros), ...Object.entries(headers).map(([k, v]) => [`header:${k.toLowerCase()}`, v])]
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${k}=${v}`)
+    .sort();
+  pairs.push(`personal-data=${personalData ? 1 : 0}`);
+  return crypto.createHash("sha256").update(pairs.join("\n")).digest("base64url").slice(0, 22);
+}
+
+// ───── http (scheme / address / redirect / size checks: see lib/http.mjs) ───
+// recorded / replayed when RECORD_DIR / REPLAY_BUNDLE is set (lib/replay.mjs)
 function fetchWithTimeout(url, opts = {}, timeout = TIMEOUT_MS) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
-  return fetch(url, { ...opts, signal: controller.signal }).finally(() => clearTimeout(timer));
+  return recordedFetch(url, { ...opts, timeout }, safeFetch);
+}
+
+// wrapper loops rarely repeat a URL byte for byte: ignore cachebusters, order and fragment
+const canonicalHopUrl = raw => canonicalUrl(raw);
+
+// ───── macros (IAB VAST 4.x) ────────────────────────────────────────────────
+// Player-side macros ([ADPLAYHEAD], [ERRORCODE] …) are listed too: on hop fetches every
+// known macro without a value becomes -1 ("unknown"), in tracking URLs it is left for the player.
+const VAST_MACROS = new Set([
+  "TIMESTAMP", "CACHEBUSTING", "CONTENTPLAYHEAD", "MEDIAPLAYHEAD", "BREAKPOSITION", "BLOCKEDADCATEGORIES",
+  "ADCATEGORIES", "ADCOUNT", "TRANSACTIONID", "PLACEMENTTYPE", "ADTYPE", "UNIVERSALADID", "BREAKMAXDURATION",
+  "BREAKMINDURATION", "BREAKMAXADS", "BREAKMINADLENGTH", "BREAKMAXADLENGTH", "IFA", "IFATYPE", "CLIENTUA",
+  "SERVERUA", "DEVICEUA", "SERVERSIDE", "DEVICEIP", "IPADDRESS", "LATLONG", "DOMAIN", "PAGEURL", "APPBUNDLE",
+  "STOREID", "STOREURL", "VASTVERSIONS", "APIFRAMEWORKS", "EXTENSIONS", "VERIFICATIONVENDORS", "OMIDPARTNER",
+  "MEDIAMIME", "PLAYERCAPABILITIES", "CLICKTYPE", "PLAYERSTATE", "INVENTORYSTATE", "PLAYERSIZE", "ADPLAYHEAD",
+  "ASSETURI", "CONTENTID", "CONTENTURI", "PODSEQUENCE", "ADSERVINGID", "CLICKPOS", "ERRORCODE", "REASON",
+  "LIMITADTRACKING", "REGULATIONS", "GDPRCONSENT", "GPPSTRING", "GPPSECTIONID"
+]);
+
+const cachebuster = () => String(Math.floor(Math.random() * 1e8)).padStart(8, "0");
+
+// Replace [MACRO] / %5BMACRO%5D with URL-encoded values. `unknown` is what a known macro without
+// a value becomes ("keep" leaves it as is); `auto` fills TIMESTAMP/CACHEBUSTING/SERVER* ourselves.
+export function expandMacros(url, values = {}, { unknown = "keep", auto = true } = {}) {
+  if (typeof url !== "string" || !/\[|%5B/i.test(url)) return url;
+  const generated = auto
+    ? { TIMESTAMP: new Date().toISOString(), CACHEBUSTING: cachebuster(), SERVERUA: DOWNSTREAM_UA, SERVERSIDE: 1 }
+    : {};
+  return url.replace(/\[([A-Z0-9_]+)\]|%5B([A-Z0-9_]+)%5D/gi, (m, a, b) => {
+    const name = (a || b).toUpperCase();
+    if (!VAST_MACROS.has(name)) return m;
+    const v = values[name] ?? generated[name];
+    if (v != null && v !== "") return encodeURIComponent(String(v));
+    return unknown === "keep" ? m : unknown;
+  });
+}
+
+// nodes whose text is a URL the player (or we) will ping
+const TRACKING_NODES = new Set([
+  "Impression", "Error", "Tracking", "ClickTracking", "CustomClick", "NonLinearClickTracking",
+  "CompanionClickTracking", "Viewable", "NotViewable", "ViewUndetermined", "IconViewTracking", "IconClickTracking"
+]);
+
+// in-place; only macros we hold a value for are touched, the rest stay for the player
+function expandTrackingMacros(node, values, key) {
+  if (Array.isArray(node)) { for (const n of node) expandTrackingMacros(n, values, key); return; }
+  if (!node || typeof node !== "object") return;
+  if (TRACKING_NODES.has(key) && typeof node["#text"] === "string") {
+    node["#text"] = expandMacros(node["#text"], values, { auto: false });
+  }
+  for (const [k, v] of Object.entries(node)) if (v && typeof v === "object") expandTrackingMacros(v, values, k);
 }
 
+// ───── VAST errors (IAB codes) ──────────────────────────────────────────────
+export const VAST_ERROR = {
+  XML_PARSE: 100,
+  SCHEMA: 101,
+  TRAFFICKING: 200,          // e.g. a pod where the Wrapper forbade multiple ads
+  WRAPPER: 300,
+  WRAPPER_TIMEOUT: 301,      // also unreachable / non-2xx VAST URI
+  WRAPPER_LIMIT: 302,
+  NO_ADS_AFTER_WRAPPER: 303,
+  MEDIA_UNSUPPORTED: 403,    // no MediaFile the player can play
+  UNDEFINED: 900
+};
+
+// plain Error + code, like the handlers' `e.statusCode`; errorUrls collects each wrapper hop's <Error>
+function vastError(code, message, cause) {
+  const e = new Error(message, cause ? { cause } : undefined);
+  e.vastCode = code;
+  e.errorUrls = [];
+  return e;
+}
+const asVastError = (e, code = VAST_ERROR.UNDEFINED) => (e?.vastCode ? e : vastError(code, e?.message || String(e), e));
+
+// fire <Error> pixels with [ERRORCODE] filled in; best effort, never throws
+export async function fireErrorPixels(urls, code, macros = {}, headers = {}) {
+  const unique = [...new Set(urls)].filter(u => /^https?:\/\//i.test(u));
+  await Promise.allSettled(unique.map(u => fetchWithTimeout(
+    expandMacros(u, { ...macros, ERRORCODE: code }, { unknown: "-1" }),
+    { headers: { "User-Agent": DOWNSTREAM_UA, ...headers } },
+    PIXEL_TIMEOUT_MS
+  )));
+}
+
+// what players accept as "no ad": an empty VAST document
+export const noAdVast = (version = "4.2") => `<?xml version="1.0" encoding="UTF-8"?><VAST version="${version}"/>`;
+
 // ───── xml ─────────────────────────────────────────────────────────────────
-export const parser  = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "" });
-export const builder = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: "", cdataPropName: "#text" });
+export const parser  = new XMLParser({
+  ignoreAttributes: false, attributeNamePrefix: "",
+  // text-only elements stay objects, so the builder (which treats every primitive as an
+  // attribute under an empty prefix) writes <AdSystem>x</AdSystem> and not AdSystem="x"
+  alwaysCreateTextNode: true,
+  // text stays as sent: <Pricing>1.50</Pricing> is not the number 1.5, <AdServingId>007</AdServingId> not 7
+  parseTagValue: false
+});
+// attribute values are kept as strings; "true" must not collapse into a bare attribute name
+export const builder = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: "", cdataPropName: "#text", suppressBooleanAttributes: false });
 
 const toArr = v => (Array.isArray(v) ? v : v ? [v] : []);
-const mergeUnique = (a = [], b = [], keyFn) => {
-  const seen = new Set(); const out = [];
-  for (const it of [...a, ...b]) {
-    const k = keyFn ? keyFn(it) : JSON.stringify(it);
-    if (!seen.has(k)) { seen.add(k); out.push(it); }
+
+// every <VAST> object in a parsed doc (the root one, or those embedded in VMAP breaks)
+export function vastNodesOf(node, out = []) {
+  if (Array.isArray(node)) { for (const n of node) vastNodesOf(n, out); return out; }
+  if (!node || typeof node !== "object") return out;
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "VAST") out.push(...toArr(v));
+    else if (v && typeof v === "object") vastNodesOf(v, out);
   }
   return out;
+}
+// `b` after `a`, minus the items of `b` whose key is already there (no keyFn: all of `b`)
+const appendUnique = (a = [], b = [], keyFn) => {
+  if (!keyFn) return [...a, ...b];
+  const seen = new Set(a.map(keyFn));
+  return [...a, ...b.filter(it => { const k = keyFn(it); return !seen.has(k) && seen.add(k); })];
 };
 
 // ───── helpers to locate nodes ──────────────────────────────────────────────
+const getAds    = doc => toArr(doc?.VAST?.Ad);
+const inlineOf  = ad => ad?.InLine?.[0] || ad?.InLine || null;
+const wrapperOf = ad => ad?.Wrapper?.[0] || ad?.Wrapper || null;
+
 function getAd(doc) {
-  return doc?.VAST?.Ad?.[0] || doc?.VAST?.Ad || null;
+  return getAds(doc)[0] || null;
 }
 function getInline(doc) {
-  const ad = getAd(doc);
-  return ad?.InLine?.[0] || ad?.InLine || null;
+  return inlineOf(getAd(doc));
 }
 function getWrapper(doc) {
-  const ad = getAd(doc);
-  return ad?.Wrapper?.[0] || ad?.Wrapper || null;
+  return wrapperOf(getAd(doc));
 }
-function getVastAdTagUri(doc) {
-  const w = getWrapper(doc);
-  if (!w) return null;
+function vastAdTagUriOf(w) {
   const tag = w?.VASTAdTagURI;
   if (!tag) return null;
   return typeof tag === "string" ? tag : (tag?.["#text"] || null);
 }
 
-// ───── impressions (KEEP ALL by default for verifiability) ─────────────────
+// pod ads (sequence attr) first, in sequence order; stand-alone (buffet) ads after, in document order
+function orderAds(ads) {
+  const pod = ads.filter(a => a?.sequence != null).sort((a, b) => Number(a.sequence) - Number(b.sequence));
+  return [...pod, ...ads.filter(a => a?.sequence == null)];
+}
+
+// ───── impressions (KEEP ALL by default for verifiability, see lib/mergepolicy.mjs) ─
 function normalizeImpressions(imps) {
   const arr = Array.isArray(imps) ? imps : (imps ? [imps] : []);
   return arr.map(x => {
@@ -67,160 +201,824 @@ function normalizeImpressions(imps) {
   }).filter(Boolean);
 }
 
-function mergeImpressions(wrapperNodeLike, inlineNodeLike) {
-  const wImp = normalizeImpressions(wrapperNodeLike?.Impression).map(o => ({ ...o, "data-origin": "wrapper" })); // tag origin for QA
+// → the wrapper impressions that were added
+function mergeImpressions(wrapperNodeLike, inlineNodeLike, keys = mergeKeyFns()) {
+  const wImp = normalizeImpressions(wrapperNodeLike?.Impression);
   const iImp = normalizeImpressions(inlineNodeLike?.Impression);
+  const keyFn = keys.url.Impression && (imp => keys.url.Impression(imp["#text"]));
+  const merged = appendUnique(iImp, wImp, keyFn);
+  if (merged.length) inlineNodeLike.Impression = merged;
+  return merged.slice(iImp.length);
+}
+
+// <Extension type="unwrap-origin"> listing where merged impressions came from
+// (`origin`: { from, depth } of the wrapper's hop)
+function originExtension(imps, origin) {
+  return {
+    type: "unwrap-origin",
+    Origin: imps.map(imp => ({ node: "Impression", from: origin.from, depth: String(origin.depth), "#text": imp["#text"] }))
+  };
+}
+
+// ───── merge wrapper → inline (VAST 4.x wrapper rules) ──────────────────────
+// Wrapper nodes are always appended after the InLine's own; the InLine keeps its
+// creatives, media and click-throughs — a wrapper only ever adds tracking.
+const one    = v => (Array.isArray(v) ? v[0] : v) || null;
+const urlOf  = n => (typeof n === "string" ? n : n?.["#text"] ?? JSON.stringify(n));
+const RESOURCE_NODES = ["StaticResource", "IFrameResource", "HTMLResource"];
+
+// node key functions of a merge policy (null: keep all)
+function mergeKeyFns(policy = DEFAULT_MERGE_POLICY) {
+  const keys = mergeKeys(policy);
+  const byUrl = fn => fn && (n => fn(urlOf(n)));
+  const { Tracking: trk, Verification: ver } = keys.url;
+  return {
+    ...keys,
+    Error: byUrl(keys.url.Error),
+    Viewable: byUrl(keys.url.Viewable),
+    Click: byUrl(trk),
+    Tracking: trk && (t => `${t?.event}|${t?.offset ?? ""}|${trk(urlOf(t))}`),
+    Verification: keys.mode.Verification === "canonical-dedup"
+      ? v => [v?.vendor ?? "", ...["JavaScriptResource", "ExecutableResource"].flatMap(k => toArr(v?.[k])).map(r => ver(urlOf(r)))].join("|")
+      : ver && (v => JSON.stringify(v))
+  };
+}
+
+// concat child list `key` of wrapper container into inline container (creating it if needed)
+function appendChildren(iParent, wParent, key, keyFn) {
+  const wList = toArr(wParent?.[key]);
+  if (!wList.length) return;
+  iParent[key] = appendUnique(toArr(iParent[key]), wList, keyFn);
+}
 
-  let merged;
-  if (IMP_DEDUP) {
-    const seen = new Set();
-    merged = [];
-    for (const src of [iImp, wImp]) {
-      for (const imp of src) {
-        const url = imp?.["#text"] || "";
-        if (!url) continue;
-        if (seen.has(url)) continue;
-        seen.add(url);
-        merged.push(imp);
+function mergeTrackingEvents(iNode, wNode, keys) {
+  const wTrk = toArr(one(wNode?.TrackingEvents)?.Tracking);
+  if (!wTrk.length) return;
+  const iTe = one(iNode.TrackingEvents) || {};
+  appendChildren(iTe, { Tracking: wTrk }, "Tracking", keys.Tracking);
+  iNode.TrackingEvents = iTe;
+}
+
+// VAST 4: wrapper creatives target the InLine creatives sharing their adId / UniversalAdId,
+// NonLinear / Companion children those sharing their id. Wrapper ids come from the wrapper's
+// own ad server and seldom equal the InLine's: what targets nothing applies to every node of its kind.
+const idOf   = n => (n?.id != null ? String(n.id) : null);
+const adIdOf = c => (c?.adId != null ? String(c.adId) : null);
+function uaidOf(c) {
+  const u = one(c?.UniversalAdId);
+  const v = String((u && typeof u === "object" ? u["#text"] : u) ?? "").trim();
+  return v && v.toLowerCase() !== "unknown" ? `${u?.idRegistry ?? ""}|${v}` : null;
+}
+const CREATIVE_KEYS = [adIdOf, uaidOf];
+const sharing = (iList, w, keyFns) => iList.filter(n => keyFns.some(f => f(w) != null && f(w) === f(n)));
+const targetsOf = (iList, w, keyFns) => { const hits = sharing(iList, w, keyFns); return hits.length ? hits : iList; };
+
+function mergeLinear(iLin, wLin, keys) {
+  mergeTrackingEvents(iLin, wLin, keys);
+  const wClicks = one(wLin?.VideoClicks);
+  if (wClicks) {
+    const iClicks = one(iLin.VideoClicks) || {};
+    appendChildren(iClicks, wClicks, "ClickTracking", keys.Click);
+    appendChildren(iClicks, wClicks, "CustomClick", keys.Click);
+    iLin.VideoClicks = iClicks;
+  }
+}
+
+function mergeNonLinearAds(iNla, wNla, keys) {
+  mergeTrackingEvents(iNla, wNla, keys);
+  const iNls = toArr(iNla.NonLinear);
+  for (const wNl of toArr(wNla?.NonLinear)) {
+    for (const iNl of targetsOf(iNls, wNl, [idOf])) appendChildren(iNl, wNl, "NonLinearClickTracking", keys.Click);
+  }
+}
+
+function mergeCompanionAds(iCa, wCa, keys) {
+  const iComps = toArr(iCa.Companion);
+  const extra = [];
+  for (const wComp of toArr(wCa?.Companion)) {
+    const hits = sharing(iComps, wComp, [idOf]);
+    // a wrapper companion with its own resource and no InLine counterpart is a companion to show
+    if (!hits.length && (idOf(wComp) != null || !iComps.length) && RESOURCE_NODES.some(k => wComp?.[k])) {
+      extra.push(wComp);
+      continue;
+    }
+    for (const iComp of hits.length ? hits : iComps) {
+      mergeTrackingEvents(iComp, wComp, keys);
+      appendChildren(iComp, wComp, "CompanionClickTracking", keys.Click);
+    }
+  }
+  if (extra.length) iCa.Companion = [...iComps, ...extra];
+}
+
+function mergeCreatives(i, w, keys) {
+  const wCreatives = toArr(one(w?.Creatives)?.Creative);
+  if (!wCreatives.length) return;
+  const iCreativesNode = one(i.Creatives) || {};
+  const iCreatives = toArr(iCreativesNode.Creative);
+  const added = [];
+
+  for (const wc of wCreatives) {
+    for (const [kind, merge] of [["Linear", mergeLinear], ["NonLinearAds", mergeNonLinearAds], ["CompanionAds", mergeCompanionAds]]) {
+      const wNode = one(wc?.[kind]);
+      if (!wNode) continue;
+      const hits = targetsOf(iCreatives.filter(c => one(c?.[kind])), wc, CREATIVE_KEYS);
+      for (const c of hits) merge(one(c[kind]), wNode, keys);
+      // companions carried only by the wrapper become a creative of their own
+      if (!hits.length && kind === "CompanionAds" && toArr(wNode.Companion).some(c => RESOURCE_NODES.some(k => c?.[k]))) {
+        added.push({ ...(wc.id != null ? { id: wc.id } : {}), CompanionAds: wNode });
       }
     }
-  } else {
-    // KEEP ALL (inline first, then wrapper) for visibility
-    merged = [...iImp, ...wImp];
   }
-  if (merged.length) inlineNodeLike.Impression = merged;
+
+  if (added.length) {
+    iCreativesNode.Creative = [...iCreatives, ...added];
+    i.Creatives = iCreativesNode;
+  }
 }
 
-// ───── merge wrapper → inline (uses correct nodes) ──────────────────────────
-function mergeWrapperIntoInline(wrapperDoc, inlineDoc) {
-  const w = getWrapper(wrapperDoc);
-  const i = getInline(inlineDoc);
-  if (!w || !i) return inlineDoc;
+// node groups a merge can be limited to (SSP adapters pick theirs)
+export const MERGE_NODES = ["Impression", "Error", "Creatives", "AdVerifications", "ViewableImpression", "Extensions"];
+
+// `mergePolicy`: keep-all / dedup per node type (lib/mergepolicy.mjs); `origin`: { from, depth }
+// of the wrapper, for the origin Extension
+function mergeWrapperIntoInline(w, i, nodes = MERGE_NODES, mergePolicy = DEFAULT_MERGE_POLICY, origin = null) {
+  if (!w || !i) return i;
+  const want = new Set(nodes);
+  const keys = mergeKeyFns(mergePolicy);
 
   // 1) Impressions
-  mergeImpressions(w, i);
-
-  // 2) Linear TrackingEvents
-  const wCreatives = toArr(w?.Creatives?.[0]?.Creative || w?.Creatives?.Creative || []);
-  const iCreatives = toArr(i?.Creatives?.[0]?.Creative || i?.Creatives?.Creative || []);
-  const wLinear    = toArr((wCreatives[0]?.Linear) || (wCreatives[0]?.Linear?.[0] ? wCreatives[0]?.Linear?.[0] : []));
-  const iLinear    = toArr((iCreatives[0]?.Linear) || (iCreatives[0]?.Linear?.[0] ? iCreatives[0]?.Linear?.[0] : []));
-
-  const wTrk = toArr(wLinear[0]?.TrackingEvents?.[0]?.Tracking || wLinear[0]?.TrackingEvents?.Tracking || []);
-  const iTrk = toArr(iLinear[0]?.TrackingEvents?.[0]?.Tracking || iLinear[0]?.TrackingEvents?.Tracking || []);
-  const mergedTrk = mergeUnique(iTrk, wTrk, t => `${t?.event}|${t?.["#text"] || t}`);
-  if (iLinear[0]) {
-    iLinear[0].TrackingEvents = [{ Tracking: mergedTrk }];
-    // write back
-    if (iCreatives[0]) {
-      iCreatives[0].Linear = [iLinear[0]];
-      i.Creatives = [{ Creative: iCreatives }];
+  const addedImps = want.has("Impression") ? mergeImpressions(w, i, keys) : [];
+
+  // 2) Error URLs
+  if (want.has("Error")) appendChildren(i, w, "Error", keys.Error);
+
+  // 3) Creatives (Linear tracking + clicks, NonLinearAds, CompanionAds)
+  if (want.has("Creatives")) mergeCreatives(i, w, keys);
+
+  // 4) AdVerifications
+  if (want.has("AdVerifications")) {
+    const wVer = toArr(one(w?.AdVerifications)?.Verification);
+    const iVer = toArr(one(i?.AdVerifications)?.Verification);
+    const verMerged = appendUnique(iVer, wVer, keys.Verification);
+    if (verMerged.length) i.AdVerifications = [{ Verification: verMerged }];
+  }
+
+  // 5) ViewableImpression
+  if (want.has("ViewableImpression")) {
+    const wVI = one(w?.ViewableImpression) || {};
+    const iVI = one(i?.ViewableImpression) || {};
+    const vi = { ...iVI };
+    for (const key of ["Viewable", "NotViewable", "ViewUndetermined"]) appendChildren(vi, wVI, key, keys.Viewable);
+    if (Object.keys(vi).length) i.ViewableImpression = [vi];
+  }
+
+  // 6) Extensions (wrapper extensions travel with the ad)
+  const wExt = want.has("Extensions") ? toArr(one(w?.Extensions)?.Extension) : [];
+  if (wExt.length) {
+    const iExt = one(i.Extensions) || {};
+    appendChildren(iExt, { Extension: wExt }, "Extension", e => JSON.stringify(e));
+    i.Extensions = iExt;
+  }
+
+  // 7) where the added impressions came from (optional)
+  if (keys.origin === "extension" && origin && addedImps.length) {
+    const iExt = one(i.Extensions) || {};
+    iExt.Extension = [...toArr(iExt.Extension), originExtension(addedImps, origin)];
+    i.Extensions = iExt;
+  }
+
+  return i;
+}
+
+// ───── lossless mode (see lib/fidelity.mjs) ────────────────────────────────
+// The parsed objects still drive resolution. With ctx.fidelity every <Ad> object also carries
+// its markup ({ xml, ns }) and every doc its source text; merges edit both, and buildVast
+// splices the raw ads back into the innermost document. Anything the scanner cannot
+// follow drops that ad back to the builder.
+const RAW_AD  = new WeakMap();
+const RAW_DOC = new WeakMap();
+
+function keepRaw(doc, text) {
+  try {
+    const spans = adSpans(text);
+    const ads = getAds(doc);
+    if (spans.length !== ads.length) return doc;
+    ads.forEach((ad, k) => RAW_AD.set(ad, spans[k]));
+    RAW_DOC.set(doc, text);
+  } catch {} // not scannable: this doc goes through the builder
+  return doc;
+}
+
+function setSequence(ad, sequence) {
+  ad.sequence = sequence;
+  const raw = RAW_AD.get(ad);
+  if (raw) RAW_AD.set(ad, { ...raw, xml: setRootAttr(raw.xml, "sequence", sequence) });
+}
+
+function mergeRaw(wrapperAd, resolvedAd, nodes = MERGE_NODES, mergePolicy = DEFAULT_MERGE_POLICY, origin = null) {
+  const wRaw = RAW_AD.get(wrapperAd), iRaw = RAW_AD.get(resolvedAd);
+  if (!wRaw || !iRaw) return RAW_AD.delete(resolvedAd);
+  try {
+    RAW_AD.set(resolvedAd, { ...iRaw, xml: mergeWrapperAdXml(wRaw, iRaw.xml, { nodes, policy: mergePolicy, origin }) });
+  } catch {
+    RAW_AD.delete(resolvedAd);
+  }
+}
+
+// merge a wrapper <Ad> into the <Ad> it resolved to; a lone resolved ad takes over the wrapper's pod slot
+function mergeWrapperAd(wrapperAd, resolvedAd, { inheritSequence = false, mergePolicy = DEFAULT_MERGE_POLICY, origin = null } = {}) {
+  // cloned: a wrapper answered by a pod is merged into several ads
+  mergeWrapperIntoInline(structuredClone(wrapperOf(wrapperAd)), inlineOf(resolvedAd), MERGE_NODES, mergePolicy, origin);
+  if (RAW_AD.has(resolvedAd)) mergeRaw(wrapperAd, resolvedAd, MERGE_NODES, mergePolicy, origin);
+  if (inheritSequence && wrapperAd?.sequence != null) setSequence(resolvedAd, wrapperAd.sequence);
+  return resolvedAd;
+}
+
+// ───── unwrap recursion (resolves remote wrappers → Inline, per <Ad>) ────────
+// Hop responses are cached per expanded URL and forwarded headers (see contextKey) for as long
+// as their Cache-Control allows; concurrent fetches of the same hop share one request. ctx.ttl tracks the shortest
+// freshness along the chain so the assembled result never outlives a hop.
+// With ctx.trace every hop is recorded (see traceUnwrap); ctx.noCache skips the cache,
+// ctx.oneOff only for the tag itself (depth 0).
+// `vmap`: a VMAP playlist is an acceptable answer too (top-level requests only).
+async function fetchVast(url, key = url, ctx = null, depth = 0, { vmap = false } = {}) {
+  const hop = ctx?.trace ? { depth, url, ...(key !== url ? { tag: key } : {}) } : null;
+  if (hop) ctx.trace.hops.push(hop);
+  const startedAt = Date.now();
+  let text;
+  try {
+    const load = async () => {
+      const fetchedAt = Date.now();
+      const observe = (status, ok) => {
+        metrics.hopDuration.observe({ host: hostOf(url), status }, (Date.now() - fetchedAt) / 1000);
+        recordOutcome("hop", ok);
+      };
+      try {
+        const resp = await fetchWithTimeout(url, {
+          headers: { "User-Agent": DOWNSTREAM_UA, Accept: "application/xml,text/xml,*/*", ...ctx?.headers }
+        });
+        if (hop) Object.assign(hop, { status: resp.status, ...(resp.redirects?.length ? { redirects: resp.redirects } : {}) });
+        if (!resp.ok) {
+          observe(String(resp.status), false);
+          throw Object.assign(new Error(`VAST fetch failed: ${resp.status}`), { observed: true });
+        }
+        const { ttl, swr } = cachePolicyFromHeaders(resp.headers, CACHE_TTL_MS);
+        const val = await resp.text();
+        observe(String(resp.status), true);
+        return { val, ttl, swr: swr || CACHE_SWR_MS };
+      } catch (e) {
+        if (!e?.observed) observe(e?.blocked ? "blocked" : e?.name === "AbortError" ? "timeout" : "error", false);
+        throw e;
+      }
+    };
+    const uncacheable = ctx?.noCache || (ctx?.oneOff && depth === 0) || PER_REQUEST_MACRO.test(key);
+    // ttl 0: a chain through an uncached hop is not cached either
+    const r = uncacheable ? { ...(await load()), status: "bypass", ttl: 0 } : await readThrough(cacheStore, `hop:${contextKey({}, ctx?.headers, ctx?.personalData)}:${url}`, load, readOptions);
+    metrics.cacheLookups.inc({ layer: "hop", status: r.status });
+    text = r.val;
+    if (ctx) {
+      ctx.ttl = Math.min(ctx.ttl ?? Infinity, r.ttl);
+      ctx.hopCache[r.status] = (ctx.hopCache[r.status] || 0) + 1;
+    }
+    if (hop) Object.assign(hop, { cache: r.status, ms: Date.now() - startedAt, bytes: Buffer.byteLength(text) });
+  } catch (e) {
+    const msg = e?.name === "AbortError" ? `VAST fetch timed out after ${TIMEOUT_MS}ms` : (e?.message || String(e));
+    const err = vastError(VAST_ERROR.WRAPPER_TIMEOUT, msg, e);
+    if (e?.blocked) err.blocked = { url: key, reason: e.blocked };
+    if (hop) Object.assign(hop, { ms: Date.now() - startedAt, error: { code: err.vastCode, message: msg, ...(err.blocked ? { blocked: err.blocked } : {}) } });
+    throw err;
+  }
+
+  const reject = (code, message) => {
+    if (hop) hop.error = { code, message };
+    return vastError(code, message);
+  };
+  if (!text.trim()) throw reject(VAST_ERROR.NO_ADS_AFTER_WRAPPER, "Empty VAST response.");
+  const valid = XMLValidator.validate(text);
+  if (valid !== true) throw reject(VAST_ERROR.XML_PARSE, `XML parse error: ${valid.err?.msg} (line ${valid.err?.line})`);
+  const doc = parser.parse(text);
+  if (vmap && vmapRootKey(doc)) return doc;
+  if (!doc?.VAST) throw reject(VAST_ERROR.SCHEMA, "Response has no <VAST> root.");
+  if (ctx && depth === 0) ctx.sourceXml = text; // what a failed resolution started from
+  if (ctx?.fidelity) keepRaw(doc, text);
+  if (hop) {
+    const ads = getAds(doc);
+    hop.vast = { version: doc.VAST.version, ads: ads.length, wrappers: ads.filter(wrapperOf).length, inlines: ads.filter(inlineOf).length };
+    ctx.trace.docHop.set(doc, hop);
+  }
+  return doc;
+}
+
+// `headers`: client context forwarded on every hop and error pixel, `personalData`: whether
+// consent allowed identifiers in it (see lib/client.mjs). Without `firePixels`, failures'
+// <Error> pixels go to `unfired` instead of the network.
+const newCtx = (macros = {}, fidelity = false, headers = {}, mergePolicy = DEFAULT_MERGE_POLICY, personalData = true, firePixels = true) =>
+  ({ failures: [], macros, ttl: Infinity, hopCache: {}, fidelity, headers, mergePolicy, personalData, firePixels, unfired: [] });
+
+// ───── wrapper chain policy (VAST 4 <Wrapper> attributes) ───────────────────
+const attrBool = (v, dflt) => (v == null || v === "" ? dflt : ["true", "1"].includes(String(v).trim().toLowerCase()));
+
+// how the response to a hop may look; the caller's own (top-level) request allows anything
+const TOP_POLICY = { followAdditionalWrappers: true, allowMultipleAds: true };
+const policyOf = w => ({
+  followAdditionalWrappers: attrBool(w?.followAdditionalWrappers, true),
+  allowMultipleAds: attrBool(w?.allowMultipleAds, false)
+});
+const policyKey = p => `f${+p.followAdditionalWrappers}m${+p.allowMultipleAds}`;
+
+async function followHop(url, key, depth, ctx, policy, path) {
+  const { resolved } = await resolveAds(await fetchVast(url, key, ctx, depth), depth, ctx, policy, path);
+  return resolved;
+}
+
+// Follows one <Ad> down its own wrapper chain. Returns [{ ad, doc, depth }] — a hop may answer
+// with a pod, so one wrapper can resolve to several InLine ads (each gets the wrapper merged in).
+// Failures carry a VAST error code and the <Error> URLs of every wrapper on the way up.
+// `path` holds the canonical URLs of the hops above, to catch wrapper loops.
+async function resolveAd(ad, doc, depth, ctx, policy = TOP_POLICY, path = []) {
+  if (inlineOf(ad)) {
+    ctx.trace?.innermost.set(ad, { hop: ctx.trace.docHop.get(doc), leaves: leavesOf(inlineOf(ad)) });
+    return [{ ad, doc, depth }];
+  }
+
+  const w = wrapperOf(ad);
+  if (!w) throw vastError(VAST_ERROR.SCHEMA, "Ad has neither <InLine> nor <Wrapper>.");
+  try {
+    if (!policy.followAdditionalWrappers) {
+      throw vastError(VAST_ERROR.WRAPPER_LIMIT, "Wrapper returned where the parent set followAdditionalWrappers=\"false\".");
+    }
+    const next = vastAdTagUriOf(w);
+    if (!next) throw vastError(VAST_ERROR.WRAPPER, "Wrapper missing <VASTAdTagURI>.");
+    if (depth >= MAX_DEPTH) throw vastError(VAST_ERROR.WRAPPER_LIMIT, `Wrapper chain exceeded MAX_DEPTH (${MAX_DEPTH}).`);
+    const hopKey = canonicalHopUrl(next);
+    if (path.includes(hopKey)) {
+      throw Object.assign(vastError(VAST_ERROR.WRAPPER_LIMIT, `Wrapper loop: ${next} already requested in this chain.`), {
+        blocked: { url: next, reason: "loop" }
+      });
+    }
+
+    const hopUrl = expandMacros(next, ctx.macros, { unknown: "-1" });
+    if (DEBUG) console.log(`[unwrap] depth=${depth + 1} → ${hopUrl}`);
+    const follow = (depth === 0 && ctx.firstHop) || followHop;
+    const resolved = await follow(hopUrl, next, depth + 1, ctx, policyOf(w), [...path, hopKey]);
+    const merge = ctx.trace ? tracedMerge(ctx.trace, doc) : mergeWrapperAd;
+    // origin: the hop that served this wrapper ("(request)": the caller's own document)
+    const origin = { from: path.at(-1) ?? "(request)", depth };
+    return resolved.map(r => ({ ...r, ad: merge(ad, r.ad, { inheritSequence: resolved.length === 1, mergePolicy: ctx.mergePolicy, origin }) }));
+  } catch (e) {
+    const err = asVastError(e, VAST_ERROR.WRAPPER);
+    err.errorUrls.push(...toArr(w.Error).map(urlOf));
+    throw err;
+  }
+}
+
+// Resolves the <Ad>s of a VAST doc as `policy` permits; a failing ad is reported, not fatal.
+//  - allowMultipleAds: the pod (or, without one, every stand-alone ad) is served and the
+//    stand-alone ads stay behind it as buffet; otherwise only the first stand-alone ad
+//  - a slot whose Wrapper has fallbackOnNoAd="true" and comes back empty is refilled
+//    from the buffet
+// Throws only when nothing could be resolved; failures that do not propagate are
+// queued on ctx.failures so their <Error> pixels still fire.
+async function resolveAds(doc, depth = 0, ctx = newCtx(), policy = TOP_POLICY, path = []) {
+  const ads = orderAds(getAds(doc));
+  if (!ads.length) throw vastError(VAST_ERROR.NO_ADS_AFTER_WRAPPER, "VAST response contains no <Ad>.");
+
+  const pod = ads.filter(a => a?.sequence != null);
+  const buffet = ads.filter(a => a?.sequence == null);
+  if (!policy.allowMultipleAds && !buffet.length) {
+    throw vastError(VAST_ERROR.TRAFFICKING, "Pod returned to a Wrapper that does not allow multiple ads.");
+  }
+  const slots = !policy.allowMultipleAds ? [buffet.shift()] : pod.length ? pod : buffet.splice(0);
+
+  const pending = new Map();
+  const run = ad => {
+    if (!pending.has(ad)) {
+      pending.set(ad, resolveAd(ad, doc, depth, ctx, policy, path).then(value => ({ value }), e => ({ error: asVastError(e) })));
+    }
+    return pending.get(ad);
+  };
+  // a served buffet is resolved anyway, so start it alongside the slots
+  for (const ad of policy.allowMultipleAds ? ads : slots) run(ad);
+
+  const resolved = [];
+  const report = [];
+  const rejected = [];
+  const entry = (ad, r) => {
+    const { id, sequence } = ad || {};
+    if (r.error) return { id, sequence, error: r.error.message, code: r.error.vastCode, ...(r.error.blocked ? { blocked: r.error.blocked } : {}) };
+    return { id, sequence, depth: Math.max(...r.value.map(x => x.depth)) - depth };
+  };
+
+  for (const slot of slots) {
+    let r = await run(slot);
+    report.push(entry(slot, r));
+    if (r.error) {
+      rejected.push(r.error);
+      const fallback = r.error.vastCode === VAST_ERROR.NO_ADS_AFTER_WRAPPER && attrBool(wrapperOf(slot)?.fallbackOnNoAd, false);
+      while (fallback && r.error && buffet.length) {
+        const spare = buffet.shift();
+        r = await run(spare);
+        report.push({ ...entry(spare, r), fallbackFor: slot.id ?? slot.sequence });
+        if (r.error) rejected.push(r.error);
+      }
+    }
+    if (!r.error) resolved.push(...r.value);
+  }
+  // dropped slots and nested pods leave gaps/duplicates: renumber the served pod
+  if (policy.allowMultipleAds && pod.length) resolved.forEach((r, idx) => setSequence(r.ad, String(idx + 1)));
+  // leftover buffet travels with a multi-ad response for the player to fall back on
+  if (policy.allowMultipleAds) {
+    for (const ad of buffet) {
+      const r = await run(ad);
+      report.push(entry(ad, r));
+      if (r.error) rejected.push(r.error); else resolved.push(...r.value);
     }
   }
 
-  // 3) AdVerifications
-  const wVer = toArr(w?.AdVerifications?.[0]?.Verification || w?.AdVerifications?.Verification || []);
-  const iVer = toArr(i?.AdVerifications?.[0]?.Verification || i?.AdVerifications?.Verification || []);
-  const verMerged = mergeUnique(iVer, wVer, v => JSON.stringify(v));
-  if (verMerged.length) i.AdVerifications = [{ Verification: verMerged }];
-
-  // 4) ViewableImpression
-  const wVI = w?.ViewableImpression?.[0] || w?.ViewableImpression || {};
-  const iVI = i?.ViewableImpression?.[0] || i?.ViewableImpression || {};
-  const mergedViewable = mergeUnique(
-    toArr(iVI?.Viewable || []), toArr(wVI?.Viewable || []),
-    v => (typeof v === "string" ? v : v?.["#text"] || JSON.stringify(v))
-  );
-  const mergedUndet = mergeUnique(
-    toArr(iVI?.ViewUndetermined || []), toArr(wVI?.ViewUndetermined || []),
-    v => (typeof v === "string" ? v : v?.["#text"] || JSON.stringify(v))
-  );
-  const vi = {};
-  if (mergedViewable.length) vi.Viewable = mergedViewable;
-  if (mergedUndet.length) vi.ViewUndetermined = mergedUndet;
-  if (Object.keys(vi).length) i.ViewableImpression = [vi];
-
-  return inlineDoc;
-}
-
-// ───── unwrap recursion (resolves remote wrappers → Inline) ─────────────────
-export async function resolveToInlineWithMeta(vastUrl) {
-  const cacheKey = `rv:${vastUrl}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return { xml: cached, depth: 0, cached: "hit" };
-
-  let depth = 0;
-  let text = "";
-  let doc;
-
-  {
-    const resp = await fetchWithTimeout(vastUrl, {
-      headers: { "User-Agent": DOWNSTREAM_UA, Accept: "application/xml,text/xml,*/*" }
-    });
-    text = await resp.text();
-    doc = parser.parse(text);
-  }
-
-  const wrappers = [];
-  while (depth < MAX_DEPTH) {
-    if (getInline(doc)) break;
-    const next = getVastAdTagUri(doc);
-    if (!next) throw new Error("Wrapper missing <VASTAdTagURI>.");
-    wrappers.push(doc);
-    depth++;
-
-    if (DEBUG) console.log(`[unwrap] depth=${depth} → ${next}`);
-    const resp = await fetchWithTimeout(next, {
-      headers: { "User-Agent": DOWNSTREAM_UA, Accept: "application/xml,text/xml,*/*" }
-    });
-    text = await resp.text();
-    doc = parser.parse(text);
-  }
-
-  // merge remote wrapper nodes (outermost first) into final inline node
-  for (const wdoc of wrappers.reverse()) doc = mergeWrapperIntoInline(wdoc, doc);
-
-  const xml = builder.build(doc);
-  cacheSet(cacheKey, xml);
-  return { xml, depth, cached: "miss" };
+  if (!resolved.length) {
+    ctx.failures.push(...rejected.slice(1));
+    throw rejected[0];
+  }
+  ctx.failures.push(...rejected);
+  return { resolved, report };
+}
+
+// → [{ code, urls }] with [ERRORCODE] filled in: the <Error> pixels of `failures`, including
+// those a nested resolution listed instead of firing (f.errorPixels)
+const errorPixelsOf = (failures, macros = {}) => failures.flatMap(f => [
+  ...(f.errorPixels || []),
+  ...(f.errorUrls?.length ? [{ code: f.vastCode, urls: f.errorUrls.map(u => expandMacros(u, { ...macros, ERRORCODE: f.vastCode }, { unknown: "-1" })) }] : [])
+]);
+
+// fires the failures' <Error> pixels, or lists them in ctx.unfired (ctx.firePixels off)
+async function reportFailures(failures, ctx) {
+  if (!ctx.firePixels) return void ctx.unfired.push(...errorPixelsOf(failures, ctx.macros));
+  await Promise.allSettled(failures.map(f => fireErrorPixels(f.errorUrls, f.vastCode, ctx.macros, ctx.headers)));
+}
+
+// a resolution that failed: its pixels are reported, the error says what it could not fire
+async function failWith(e, ctx) {
+  const err = asVastError(e);
+  await reportFailures([err, ...ctx.failures], ctx);
+  err.errorUrls = []; // reported
+  if (!ctx.firePixels) err.errorPixels = ctx.unfired;
+  if (ctx.sourceXml != null) err.sourceXml ??= ctx.sourceXml;
+  return err;
+}
+
+// Rebuild one VAST doc from resolved ads; root (version, xml decl) comes from the first innermost doc.
+function vastDocOf(resolved, trackingMacros = null) {
+  const root = resolved[0].doc;
+  const ads = resolved.map(r => r.ad);
+  if (trackingMacros) expandTrackingMacros(ads, trackingMacros, "Ad");
+  return { ...root, VAST: { ...root.VAST, Ad: ads } };
+}
+function buildVast(resolved, trackingMacros = null) {
+  const rootText = RAW_DOC.get(resolved[0].doc);
+  const raw = resolved.map(r => RAW_AD.get(r.ad)?.xml);
+  if (rootText && raw.every(Boolean)) {
+    try {
+      const xml = assembleVast(rootText, raw);
+      return trackingMacros ? expandTrackingInXml(xml, trackingMacros, true) : xml;
+    } catch {} // fall through to the builder
+  }
+  return builder.build(vastDocOf(resolved, trackingMacros));
+}
+
+// Options:
+//  - macros: { IFA, DEVICEUA, IPADDRESS, GDPRCONSENT, … } expanded into every hop URL
+//  - expandTracking: also expand them in the returned tracking URLs (done after the
+//    cache, which stores the result with unexpanded tracking; it is keyed per tag, macro
+//    values and headers — see contextKey)
+//  - policy: chain attributes of the Wrapper that pointed here (default: top-level request)
+//  - vmap: accept a VMAP playlist (its breaks are resolved, see resolveVmap); off for the
+//    tags inside one, so a playlist cannot pull in itself
+//  - fidelity: lossless output, untouched markup kept byte for byte (VMAP playlists are
+//    still rebuilt around their breaks)
+//  - origins: also return `origins`, per served ad the hop every <Impression> came from
+//    (see impressionOrigins; not computed for VMAP playlists)
+//  - headers: client context sent along with every hop (User-Agent, X-Forwarded-For …)
+//  - personalData: false when consent withheld identifiers from macros / headers (its own
+//    cache entries)
+//  - mergePolicy: how wrapper nodes merge into the InLine (lib/mergepolicy.mjs)
+//  - firePixels: false lists the <Error> pixels of failed hops (`errorPixels`, on the result or
+//    the thrown error) instead of firing them — for checks that are not a real ad request
+//    (own cache entries, so a check never stands in for the request that fires them)
+//  - oneOff: the URL serves this request alone (an expanded OpenRTB nurl): neither its response
+//    nor the result is cached (`cached: "bypass"`); the hops behind it still are
+// A VMAP answer also carries `breaks` (one report entry per <vmap:AdBreak>). A thrown error
+// carries `sourceXml`, the document the resolution started from, once it was fetched.
+export async function resolveToInlineWithMeta(vastUrl, { macros = {}, expandTracking = false, policy = TOP_POLICY, vmap = true, fidelity = XML_FIDELITY, origins = false, headers = {}, personalData = true, mergePolicy = DEFAULT_MERGE_POLICY, firePixels = true, oneOff = false } = {}) {
+  const mergeKey = mergePolicyKey(mergePolicy);
+  const cacheKey = `rv:${fidelity ? "raw:" : ""}${origins ? "org:" : ""}${vmap ? "" : "novmap:"}${firePixels ? "" : "nofire:"}${policy === TOP_POLICY ? "" : `${policyKey(policy)}:`}${mergeKey ? `mp:${mergeKey}:` : ""}`
+    + `${contextKey(macros, headers, personalData)}:${vastUrl}`;
+  const withTracking = meta => (expandTracking
+    ? { ...meta, xml: expandTrackingInXml(meta.xml, macros, fidelity), ...(meta.origins ? { origins: expandOrigins(meta.origins, macros) } : {}) }
+    : meta);
+
+  const load = async () => {
+    const ctx = { ...newCtx(macros, fidelity, headers, mergePolicy, personalData, firePixels), ...(origins ? { trace: newTrace() } : {}), oneOff };
+    let out;
+    try {
+      const doc = await fetchVast(expandMacros(vastUrl, macros, { unknown: "-1" }), vastUrl, ctx, 0, { vmap });
+      out = vmapRootKey(doc) ? await resolveVmap(doc, ctx) : await resolveAds(doc, 0, ctx, policy, [canonicalHopUrl(vastUrl)]);
+    } catch (e) {
+      throw await failWith(e, ctx);
+    }
+    await reportFailures(ctx.failures, ctx);
+
+    const { resolved, report, breaks } = out;
+    const depth = breaks ? out.depth : Math.max(...resolved.map(r => r.depth));
+    const xml = breaks ? out.xml : buildVast(resolved);
+    metrics.chainDepth.observe({}, depth);
+    const extra = {
+      ...(breaks ? { breaks } : {}),
+      ...(origins && !breaks ? { origins: resolved.map(r => impressionOrigins(r.ad, ctx.trace)) } : {}),
+      ...(firePixels ? {} : { errorPixels: ctx.unfired })
+    };
+    return { val: { xml, depth, ads: report, hopCache: ctx.hopCache, ...extra }, ttl: Math.min(CACHE_TTL_MS, ctx.ttl), swr: CACHE_SWR_MS };
+  };
+  const { val, status, ttl } = oneOff ? { ...(await load()), status: "bypass" } : await readThrough(cacheStore, cacheKey, load, readOptions);
+
+  metrics.cacheLookups.inc({ layer: "chain", status });
+  const extra = {
+    ...(val.breaks ? { breaks: val.breaks } : {}),
+    ...(val.origins ? { origins: val.origins } : {}),
+    ...(val.errorPixels ? { errorPixels: val.errorPixels } : {})
+  };
+  // "stale": served from cache while a background refresh runs
+  if (status === "hit" || status === "stale") return withTracking({ xml: val.xml, depth: 0, cached: status, ads: val.ads, ...extra, ttl });
+  return withTracking({ xml: val.xml, depth: val.depth, cached: status, ads: val.ads, hopCache: val.hopCache, ...extra, ttl });
+}
+
+// origins are recorded on the URLs as fetched; once the tracking URLs are expanded, so are theirs
+const expandOrigins = (origins, macros) =>
+  origins.map(list => list.map(o => ({ ...o, url: expandMacros(o.url, macros, { auto: false }) })));
+
+function expandTrackingInXml(xml, macros, fidelity = false) {
+  const expand = url => expandMacros(url, macros, { auto: false });
+  if (fidelity) {
+    try { return mapElementText(xml, TRACKING_NODES, expand); } catch {} // fall back to the builder
+  }
+  const doc = parser.parse(xml);
+  expandTrackingMacros(doc, macros, "");
+  return builder.build(doc);
+}
+
+// ───── VMAP (IAB VMAP 1.0 playlists) ────────────────────────────────────────
+// Each <vmap:AdBreak>'s <vmap:AdSource> is resolved to Inline VAST and embedded as
+// <vmap:VASTAdData>: an <vmap:AdTagURI> through resolveToInlineWithMeta (own cache entry per
+// tag), inline <vmap:VASTAdData> like any VAST doc. Everything else (timeOffset, breakId,
+// breakType, TrackingEvents, Extensions) is kept as sent. A break that cannot be resolved
+// keeps its original AdSource, so the player can still try.
+const vmapRootKey = doc => Object.keys(doc || {}).find(k => k.replace(/^[^:]*:/, "") === "VMAP") || null;
+
+// AdSource attributes → chain policy of the VAST behind it (both default to allowed)
+function policyOfAdSource(src) {
+  const followAdditionalWrappers = attrBool(src?.followRedirects, true);
+  const allowMultipleAds = attrBool(src?.allowMultipleAds, true);
+  return followAdditionalWrappers && allowMultipleAds ? TOP_POLICY : { followAdditionalWrappers, allowMultipleAds };
+}
+
+async function resolveBreak(brk, ns, ctx) {
+  const src = one(brk[`${ns}AdSource`]);
+  const info = { breakId: brk.breakId, timeOffset: brk.timeOffset };
+  if (!src) return { ...info, source: null };
+
+  const policy = policyOfAdSource(src);
+  const tag = one(src[`${ns}AdTagURI`]);
+  const data = one(src[`${ns}VASTAdData`]);
+  try {
+    let vast, depth, report;
+    if (tag) {
+      if (String(tag.templateType || "").toLowerCase() === "vmap") return { ...info, source: "AdTagURI", skipped: "nested VMAP" };
+      const meta = await resolveToInlineWithMeta(urlOf(tag).trim(), {
+        macros: ctx.macros, policy, vmap: false, fidelity: ctx.fidelity, headers: ctx.headers,
+        personalData: ctx.personalData, mergePolicy: ctx.mergePolicy, firePixels: ctx.firePixels
+      });
+      if (meta.errorPixels) ctx.unfired.push(...meta.errorPixels);
+      ctx.ttl = Math.min(ctx.ttl, meta.ttl ?? Infinity);
+      for (const [k, n] of Object.entries(meta.hopCache || { [meta.cached]: 1 })) ctx.hopCache[k] = (ctx.hopCache[k] || 0) + n;
+      ({ VAST: vast } = parser.parse(meta.xml));
+      ({ depth, ads: report } = meta);
+    } else if (data?.VAST) {
+      const { resolved, report: r } = await resolveAds({ VAST: one(data.VAST) }, 0, ctx, policy, []);
+      ({ VAST: vast } = vastDocOf(resolved));
+      depth = Math.max(...resolved.map(x => x.depth));
+      report = r;
+    } else {
+      return { ...info, source: null };
+    }
+    delete src[`${ns}AdTagURI`];
+    src[`${ns}VASTAdData`] = { VAST: vast };
+    return { ...info, source: tag ? "AdTagURI" : "VASTAdData", depth, ads: report };
+  } catch (e) {
+    const err = asVastError(e);
+    // an AdTagURI's own resolution has reported its pixels already (listed in err.errorPixels
+    // when not fired)
+    if (!tag || err.errorPixels) ctx.failures.push(err);
+    return { ...info, source: tag ? "AdTagURI" : "VASTAdData", error: err.message, code: err.vastCode, ...(err.blocked ? { blocked: err.blocked } : {}) };
+  }
+}
+
+// → { xml, depth, report, breaks }; `report` lists every ad of every break (tagged with its breakId)
+async function resolveVmap(doc, ctx) {
+  const rootKey = vmapRootKey(doc);
+  const ns = rootKey.slice(0, rootKey.length - "VMAP".length); // "vmap:" (or "" when unprefixed)
+  const breaks = toArr(doc[rootKey]?.[`${ns}AdBreak`]);
+  if (!breaks.length) throw vastError(VAST_ERROR.NO_ADS_AFTER_WRAPPER, "VMAP contains no <AdBreak>.");
+
+  const results = await Promise.all(breaks.map(brk => resolveBreak(brk, ns, ctx)));
+  const served = results.filter(r => r.source && !r.error && !r.skipped);
+  if (!served.length && results.some(r => r.error)) {
+    const failed = results.find(r => r.error);
+    throw Object.assign(vastError(failed.code, `No VMAP break could be resolved: ${failed.error}`), failed.blocked ? { blocked: failed.blocked } : {});
+  }
+  return {
+    xml: builder.build(doc),
+    depth: Math.max(0, ...served.map(r => r.depth)),
+    report: results.flatMap(r => (r.ads || []).map(a => ({ ...a, breakId: r.breakId }))),
+    breaks: results.map(({ ads, ...r }) => r)
+  };
+}
+
+// ───── trace (hop-by-hop view of one resolution, for /api/trace) ────────────
+// Leaves are the text nodes of an ad ({ node, value }, Tracking labelled with its event);
+// comparing them before/after a merge tells which wrapper contributed which pixel.
+function leavesOf(node, tag = "", out = []) {
+  if (Array.isArray(node)) { for (const n of node) leavesOf(n, tag, out); return out; }
+  if (!node || typeof node !== "object") return out;
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "#text") out.push({ node: node.event ? `${tag}[${node.event}]` : tag, value: String(v).trim() });
+    else if (v && typeof v === "object") leavesOf(v, k, out);
+  }
+  return out;
+}
+
+// multiset difference a − b
+const leafKey = l => `${l.node}\n${l.value}`;
+function leavesMinus(a, b) {
+  const left = new Map();
+  for (const l of b) left.set(leafKey(l), (left.get(leafKey(l)) || 0) + 1);
+  return a.filter(l => {
+    const n = left.get(leafKey(l));
+    if (!n) return true;
+    left.set(leafKey(l), n - 1);
+    return false;
+  });
+}
+
+const newTrace = () => ({ hops: [], docHop: new WeakMap(), innermost: new Map(), added: new Map() });
+
+// mergeWrapperAd that books what the wrapper (from `doc`'s hop, or the caller's own doc) added
+const tracedMerge = (trace, doc) => (wrapperAd, resolvedAd, opts) => {
+  const before = leavesOf(inlineOf(resolvedAd));
+  mergeWrapperAd(wrapperAd, resolvedAd, opts);
+  const hop = trace.docHop.get(doc);
+  const added = leavesMinus(leavesOf(inlineOf(resolvedAd)), before);
+  if (hop) {
+    hop.contributed ??= {};
+    for (const l of added) hop.contributed[l.node] = (hop.contributed[l.node] || 0) + 1;
+  }
+  const from = hop?.url ?? "(request)";
+  trace.added.set(resolvedAd, [...(trace.added.get(resolvedAd) || []), ...added.map(l => ({ ...l, from, depth: hop?.depth ?? 0 }))]);
+  return resolvedAd;
+};
+
+// [{ url, from, depth }] for every <Impression> of a served ad, in document order: `from` is the
+// hop whose wrapper merged it in ("(request)": the caller's own document), else the origin
+// inherited from a nested resolution, else the ad's innermost hop (null when unknown).
+function impressionOrigins(ad, trace, inherited = []) {
+  const pool = [...(trace.added.get(ad) || []).filter(l => l.node === "Impression"), ...inherited.map(o => ({ ...o, value: o.url }))];
+  const inner = trace.innermost.get(ad);
+  const own = !inner ? { from: null, depth: null } : inner.hop ? { from: inner.hop.url, depth: inner.hop.depth } : { from: "(request)", depth: 0 };
+  return normalizeImpressions(inlineOf(ad)?.Impression).map(imp => {
+    const url = String(imp["#text"]).trim();
+    const k = pool.findIndex(o => o.value === url);
+    if (k < 0) return { url, ...own };
+    const [{ from, depth }] = pool.splice(k, 1);
+    return { url, from, depth };
+  });
+}
+
+// Resolves `vastUrl` like resolveToInlineWithMeta, but reports instead of serving:
+//  - hops: every fetch (url, HTTP status, ms, bytes, cache, what the VAST held, nodes it contributed)
+//  - ads: per served ad, the diff of the final ad against its innermost InLine, each added
+//    node with the hop it came from
+// The cache is bypassed unless `useCache`; <Error> pixels are listed, not fired.
+export async function traceUnwrap(vastUrl, { macros = {}, useCache = false, withXml = false, headers = {}, personalData = true, mergePolicy = DEFAULT_MERGE_POLICY } = {}) {
+  const ctx = { ...newCtx(macros, false, headers, mergePolicy, personalData), trace: newTrace(), noCache: !useCache };
+  const startedAt = Date.now();
+  const errorPixels = failures => errorPixelsOf(failures, macros);
+  const base = () => ({ url: vastUrl, ms: Date.now() - startedAt, hops: ctx.trace.hops });
+
+  let out;
+  try {
+    out = await resolveAds(await fetchVast(expandMacros(vastUrl, macros, { unknown: "-1" }), vastUrl, ctx, 0), 0, ctx, TOP_POLICY, [canonicalHopUrl(vastUrl)]);
+  } catch (e) {
+    const err = asVastError(e);
+    return {
+      ok: false, ...base(),
+      error: { code: err.vastCode, message: err.message, ...(err.blocked ? { blocked: err.blocked } : {}) },
+      errorPixels: errorPixels([err, ...ctx.failures])
+    };
+  }
+
+  const { resolved, report } = out;
+  const ads = resolved.map(({ ad, depth }) => {
+    const inner = ctx.trace.innermost.get(ad);
+    const final = leavesOf(inlineOf(ad));
+    const origin = ctx.trace.added.get(ad) || [];
+    // added leaves carry their origin; anything else that changed is listed as such
+    const added = leavesMinus(final, inner?.leaves || []).map(l => origin.find(o => leafKey(o) === leafKey(l)) || { ...l, from: null });
+    return {
+      id: ad.id, sequence: ad.sequence, depth,
+      innermost: inner?.hop?.url ?? null,
+      added,
+      removed: leavesMinus(inner?.leaves || [], final)
+    };
+  });
+  return {
+    ok: true, ...base(),
+    depth: Math.max(...resolved.map(r => r.depth)),
+    report, ads,
+    errorPixels: errorPixels(ctx.failures),
+    ...(withXml ? { xml: buildVast(resolved) } : {})
+  };
 }
 
 // ───── OpenRTB helper (FIX: also merge ORIGINAL/local wrapper) ──────────────
-export async function unwrapAdmIfWrapper(admXml) {
+// Same options as resolveToInlineWithMeta (`origins` and `firePixels` included).
+export async function unwrapAdmIfWrapper(admXml, { macros = {}, expandTracking = false, fidelity = XML_FIDELITY, origins = false, headers = {}, personalData = true, mergePolicy = DEFAULT_MERGE_POLICY, firePixels = true } = {}) {
   if (typeof admXml !== "string" || !admXml.includes("<Wrapper")) {
     return { adm: admXml, replaced: false, depth: 0, cached: "miss" };
   }
 
   // Parse the ORIGINAL wrapper doc so we can merge its nodes later.
-  const firstWrapperDoc = parser.parse(admXml);
-  const next = getVastAdTagUri(firstWrapperDoc);
-  if (!next) {
+  const admDoc = parser.parse(admXml);
+  if (fidelity) keepRaw(admDoc, admXml);
+  const ads = orderAds(getAds(admDoc));
+  if (!ads.some(ad => vastAdTagUriOf(wrapperOf(ad)))) {
     return { adm: admXml, replaced: false, depth: 0, cached: "miss" };
   }
 
-  // Resolve the RV chain to Inline (merging ONLY remote wrappers).
-  const { xml, depth, cached } = await resolveToInlineWithMeta(next);
+  // The adm is resolved like any VAST doc, except that its first hop goes through
+  // resolveToInlineWithMeta (cached, merging ONLY remote wrappers); the ORIGINAL (local)
+  // wrapper is then merged into each resolved Inline on the way back up.
+  let anyHit = false;
+  const inherited = new WeakMap(); // ad → origins from its (cached) remote resolution
+  const ctx = {
+    ...newCtx(macros, fidelity, headers, mergePolicy, personalData, firePixels),
+    ...(origins ? { trace: newTrace() } : {}),
+    firstHop: async (_url, key, depth, _ctx, policy) => {
+      const meta = await resolveToInlineWithMeta(key, { macros, policy, fidelity, origins, headers, personalData, mergePolicy, firePixels });
+      if (meta.errorPixels) ctx.unfired.push(...meta.errorPixels);
+      if (meta.cached !== "miss") anyHit = true;
+      const doc = parser.parse(meta.xml);
+      if (fidelity) keepRaw(doc, meta.xml);
+      return getAds(doc).map((ad, k) => {
+        // one level deeper here than in the remote resolution
+        if (meta.origins?.[k]) inherited.set(ad, meta.origins[k].map(o => ({ ...o, depth: o.depth == null ? null : o.depth + 1 })));
+        return { ad, doc, depth: meta.depth };
+      });
+    }
+  };
 
-  // NOW also merge the ORIGINAL (local) wrapper into that Inline.
-  let finalDoc = parser.parse(xml);
-  finalDoc = mergeWrapperIntoInline(firstWrapperDoc, finalDoc);
+  let out;
+  try {
+    out = await resolveAds(admDoc, 0, ctx);
+  } catch (e) {
+    throw await failWith(e, ctx);
+  }
+  await reportFailures(ctx.failures, ctx);
 
-  const finalXml = builder.build(finalDoc);
-  return { adm: finalXml, replaced: true, depth, cached };
+  const { resolved, report } = out;
+  const depth = Math.max(...resolved.map(r => r.depth));
+  // before buildVast: expandTracking rewrites the ads' tracking URLs in place
+  const adOrigins = origins ? resolved.map(r => impressionOrigins(r.ad, ctx.trace, inherited.get(r.ad))) : null;
+  // keep the ORIGINAL root when an adm InLine leads, otherwise the innermost one
+  return {
+    adm: buildVast(resolved, expandTracking ? macros : null), replaced: true, depth, cached: anyHit ? "hit" : "miss", ads: report,
+    ...(firePixels ? {} : { errorPixels: ctx.unfired }),
+    ...(adOrigins ? { origins: expandTracking ? expandOrigins(adOrigins, macros) : adOrigins } : {})
+  };
 }
 
-// ───── Merge SSP impressions into Inline-only XML (broader source + stats) ──
+// ───── Merge a recovered SSP wrapper into Inline-only XML (nodes + stats) ───
+// `nodes` ⊆ MERGE_NODES (default: Impression only, the historical behavior).
 // Returns: { xml, stats: {...} }
-export async function mergeWrapperImpressionsIntoInlineXml(inlineAdmXml, wrapperUrl, { debug = false } = {}) {
+export async function mergeWrapperNodesIntoInlineXml(inlineAdmXml, wrapperUrl, { nodes = ["Impression"], debug = false, fidelity = XML_FIDELITY, headers = {}, mergePolicy = DEFAULT_MERGE_POLICY } = {}) {
   const inlineDoc = parser.parse(inlineAdmXml);
+  if (fidelity) keepRaw(inlineDoc, inlineAdmXml);
 
   const resp = await fetchWithTimeout(wrapperUrl, {
-    headers: { "User-Agent": DOWNSTREAM_UA, Accept: "application/xml,text/xml,*/*" }
+    headers: { "User-Agent": DOWNSTREAM_UA, Accept: "application/xml,text/xml,*/*", ...headers }
   });
   if (!resp.ok) throw new Error(`Wrapper fetch failed: ${resp.status}`);
 
   const wrapperText = await resp.text();
   const wrapperDoc  = parser.parse(wrapperText);
+  if (fidelity) keepRaw(wrapperDoc, wrapperText);
 
   // Choose the source node we can actually merge from:
   // Prefer <Wrapper>, fall back to <InLine> if RV already returns Inline.
@@ -228,36 +1026,50 @@ export async function mergeWrapperImpressionsIntoInlineXml(inlineAdmXml, wrapper
   const sourceInline  = getInline(wrapperDoc);
   const sourceNode    = sourceWrapper || sourceInline || null;
 
-  const targetInline  = getInline(inlineDoc);
+  // Every InLine of the bid (pods included) was wrapped by the same SSP wrapper.
+  const targetInlines = getAds(inlineDoc).map(inlineOf).filter(Boolean);
+  const countImps     = () => targetInlines.reduce((n, i) => n + normalizeImpressions(i?.Impression).length, 0);
 
   const preCounts = {
     rvHasWrapper: !!sourceWrapper,
     rvHasInline:  !!sourceInline,
     rvImpCount:   normalizeImpressions(sourceNode?.Impression).length,
-    targetImpBefore: normalizeImpressions(targetInline?.Impression).length
+    targetImpBefore: countImps()
   };
 
   let mergedDoc = inlineDoc;
-  if (sourceNode && targetInline) {
-    // Only merge Impressions from the RV doc's source node into our Inline.
-    mergeImpressions(sourceNode, targetInline);
+  if (sourceNode) {
+    // Only the requested node groups from the RV doc's source node go into our Inline(s).
+    const origin = { from: wrapperUrl, depth: 0 }; // fetched directly, like a top-level tag
+    for (const targetInline of targetInlines) mergeWrapperIntoInline(structuredClone(sourceNode), targetInline, nodes, mergePolicy, origin);
+    for (const ad of getAds(inlineDoc)) if (RAW_AD.has(ad) && inlineOf(ad)) mergeRaw(getAd(wrapperDoc), ad, nodes, mergePolicy, origin);
   }
+  const raw = getAds(inlineDoc).map(ad => RAW_AD.get(ad)?.xml);
 
   const postCounts = {
-    targetImpAfter: normalizeImpressions(getInline(mergedDoc)?.Impression).length
+    targetImpAfter: countImps()
   };
 
   if (debug && typeof console !== "undefined") {
-    console.log(`[merge-wrapper-imps] ${preCounts.targetImpBefore} → ${postCounts.targetImpAfter} `
+    console.log(`[merge-wrapper-nodes] ${preCounts.targetImpBefore} → ${postCounts.targetImpAfter} imps, nodes=${nodes.join(",")} `
       + `(rvHasWrapper=${preCounts.rvHasWrapper}, rvHasInline=${preCounts.rvHasInline}, rvImpCount=${preCounts.rvImpCount}) via ${wrapperUrl}`);
   }
 
+  let xml = null;
+  if (RAW_DOC.has(inlineDoc) && raw.every(Boolean)) {
+    try { xml = assembleVast(inlineAdmXml, raw); } catch {}
+  }
+
   return {
-    xml: builder.build(mergedDoc),
+    xml: xml ?? builder.build(mergedDoc),
     stats: {
       ...preCounts,
       ...postCounts,
+      mergedNodes: nodes,
       wrapperSnippet: debug ? wrapperText.slice(0, 512) : undefined
     }
   };
 }
+
+export const mergeWrapperImpressionsIntoInlineXml = (inlineAdmXml, wrapperUrl, opts = {}) =>
+  mergeWrapperNodesIntoInlineXml(inlineAdmXml, wrapperUrl, { ...opts, nodes: ["Impression"] });
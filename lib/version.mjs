@@ -0,0 +1,170 @@
+// lib/version.mjs
+// Rewrites a (merged) VAST document for an older player: nodes the target version does not
+// know are moved where that version tolerates them (<Extensions>, <CreativeExtensions>) or,
+// when there is no such place, dropped; the root `version` is set to the target.
+// Works on VMAP output too (every embedded <VAST> is converted). In lossless mode
+// (XML_FIDELITY / fidelity) the same moves are text edits; untouched markup stays as sent.
+import { parser, builder, vastNodesOf } from "./resolver.mjs";
+import { scanXml, editor, elementsNamed, kids, kid, rawOf, textOf } from "./fidelity.mjs";
+
+const XML_FIDELITY = process.env.XML_FIDELITY === "1";
+
+export const VAST_VERSIONS = ["2.0", "3.0", "4.0", "4.1", "4.2", "4.3"];
+export const isVastVersion = v => VAST_VERSIONS.includes(String(v));
+
+// [node, introduced in, what older versions get]
+//  - "extension": <Extension type="node"><node>…</node></Extension> (the IAB pattern for
+//    AdVerifications in VAST 3)
+//  - "drop": removed
+const AD_NODES = [
+  ["AdVerifications", 4.0, "extension"],
+  ["ViewableImpression", 4.0, "extension"],
+  ["Category", 4.0, "drop"],
+  ["AdServingId", 4.1, "drop"],
+  ["Expires", 4.1, "drop"],
+  ["BlockedAdCategories", 4.1, "drop"],
+  ["Pricing", 3.0, "drop"]
+];
+const AD_ATTRS = [["conditionalAd", 4.0], ["adType", 4.1], ["sequence", 3.0]];
+const CREATIVE_NODES = [["UniversalAdId", 4.0, "extension"]];
+const LINEAR_NODES = [["Icons", 3.0]];
+const LINEAR_ATTRS = [["skipoffset", 3.0]];
+const MEDIAFILES_NODES = [["Mezzanine", 4.0], ["InteractiveCreativeFile", 4.0], ["ClosedCaptionFiles", 4.1]];
+const CLICK_NODES = [["CompanionClickTracking", 3.0], ["NonLinearClickTracking", 3.0]];
+const TRACKING_EVENTS = [["progress", 3.0]];
+
+const toArr = v => (Array.isArray(v) ? v : v ? [v] : []);
+const one   = v => (Array.isArray(v) ? v[0] : v) || null;
+const older = (target, since) => target < since;
+
+// appends { type, [node]: value } to parent[listKey][itemKey] (created when missing)
+function toExtension(parent, listKey, itemKey, type, value) {
+  const list = one(parent[listKey]) || {};
+  list[itemKey] = [...toArr(list[itemKey]), { type, [type]: value }];
+  parent[listKey] = list;
+}
+
+function convertAd(ad, target) {
+  for (const [attr, since] of AD_ATTRS) if (older(target, since)) delete ad[attr];
+  for (const body of [ad.InLine, ad.Wrapper].flatMap(toArr)) {
+    for (const [node, since, action] of AD_NODES) {
+      if (!older(target, since) || body[node] == null) continue;
+      if (action === "extension") toExtension(body, "Extensions", "Extension", node, body[node]);
+      delete body[node];
+    }
+    for (const creative of toArr(one(body.Creatives)?.Creative)) convertCreative(creative, target);
+  }
+}
+
+function convertCreative(creative, target) {
+  for (const [node, since] of CREATIVE_NODES) {
+    if (!older(target, since) || creative[node] == null) continue;
+    // VAST 3 identifies the creative by its adId attribute
+    const id = one(creative[node]);
+    if (creative.adId == null && id?.["#text"]) creative.adId = String(id["#text"]).trim();
+    toExtension(creative, "CreativeExtensions", "CreativeExtension", node, creative[node]);
+    delete creative[node];
+  }
+  for (const linear of toArr(creative.Linear)) {
+    for (const [attr, since] of LINEAR_ATTRS) if (older(target, since)) delete linear[attr];
+    for (const [node, since] of LINEAR_NODES) if (older(target, since)) delete linear[node];
+    for (const mf of toArr(linear.MediaFiles)) for (const [node, since] of MEDIAFILES_NODES) if (older(target, since)) delete mf[node];
+    dropTracking(linear, target);
+  }
+  for (const nla of toArr(creative.NonLinearAds)) {
+    dropTracking(nla, target);
+    for (const nl of toArr(nla.NonLinear)) for (const [node, since] of CLICK_NODES) if (older(target, since)) delete nl[node];
+  }
+  for (const ca of toArr(creative.CompanionAds)) {
+    for (const c of toArr(ca.Companion)) for (const [node, since] of CLICK_NODES) if (older(target, since)) delete c[node];
+  }
+}
+
+function dropTracking(node, target) {
+  const te = one(node.TrackingEvents);
+  if (!te?.Tracking) return;
+  const unknown = new Set(TRACKING_EVENTS.filter(([, since]) => older(target, since)).map(([e]) => e));
+  te.Tracking = toArr(te.Tracking).filter(t => !unknown.has(t?.event));
+}
+
+// ───── the same, as text edits ───────────────────────────────────────────────
+const closing = parent => parent.closeStart;
+const dropAttrs = (ed, node, attrs, target) =>
+  ed.setAttrs(node, Object.fromEntries(attrs.filter(([, since]) => older(target, since)).map(([attr]) => [attr, null])));
+const dropNodes = (ed, parent, nodes, target) => {
+  for (const [node, since] of nodes) if (older(target, since)) kids(parent, node).forEach(ed.remove);
+};
+
+function convertAdXml(xml, ed, ad, target) {
+  dropAttrs(ed, ad, AD_ATTRS, target);
+  for (const body of [...kids(ad, "InLine"), ...kids(ad, "Wrapper")]) {
+    const extensions = ed.container(body, "Extensions", closing);
+    for (const [node, since, action] of AD_NODES) {
+      const found = kids(body, node);
+      if (!older(target, since) || !found.length) continue;
+      if (action === "extension") extensions.add(`<Extension type="${node}">${found.map(n => rawOf(xml, n)).join("")}</Extension>`);
+      found.forEach(ed.remove);
+    }
+    for (const creative of kids(kid(body, "Creatives"), "Creative")) convertCreativeXml(xml, ed, creative, target);
+  }
+}
+
+function convertCreativeXml(xml, ed, creative, target) {
+  for (const [node, since] of CREATIVE_NODES) {
+    const found = kids(creative, node);
+    if (!older(target, since) || !found.length) continue;
+    const id = textOf(xml, found[0]);
+    if (creative.attrs.adId == null && id) ed.setAttrs(creative, { adId: id });
+    ed.container(creative, "CreativeExtensions", closing)
+      .add(`<CreativeExtension type="${node}">${found.map(n => rawOf(xml, n)).join("")}</CreativeExtension>`);
+    found.forEach(ed.remove);
+  }
+  for (const linear of kids(creative, "Linear")) {
+    dropAttrs(ed, linear, LINEAR_ATTRS, target);
+    dropNodes(ed, linear, LINEAR_NODES, target);
+    for (const mf of kids(linear, "MediaFiles")) dropNodes(ed, mf, MEDIAFILES_NODES, target);
+    dropTrackingXml(ed, linear, target);
+  }
+  for (const nla of kids(creative, "NonLinearAds")) {
+    dropTrackingXml(ed, nla, target);
+    for (const nl of kids(nla, "NonLinear")) dropNodes(ed, nl, CLICK_NODES, target);
+  }
+  for (const ca of kids(creative, "CompanionAds")) {
+    for (const c of kids(ca, "Companion")) dropNodes(ed, c, CLICK_NODES, target);
+  }
+}
+
+function dropTrackingXml(ed, node, target) {
+  const unknown = new Set(TRACKING_EVENTS.filter(([, since]) => older(target, since)).map(([e]) => e));
+  kids(kid(node, "TrackingEvents"), "Tracking").filter(t => unknown.has(t.attrs.event)).forEach(ed.remove);
+}
+
+function convertXml(xml, version) {
+  const target = Number(version);
+  const ed = editor(xml);
+  const vasts = elementsNamed(scanXml(xml), "VAST").filter(vast => vast.attrs.version !== version);
+  if (!vasts.length) return xml;
+  for (const vast of vasts) {
+    ed.setAttrs(vast, { version });
+    for (const ad of kids(vast, "Ad")) convertAdXml(xml, ed, ad, target);
+  }
+  return ed.apply();
+}
+
+// → converted xml (unchanged when it has no <VAST>)
+export function convertVastVersion(xml, version, { fidelity = XML_FIDELITY } = {}) {
+  if (!isVastVersion(version)) throw Object.assign(new Error(`Unsupported VAST version "${version}"`), { statusCode: 400 });
+  if (fidelity) {
+    try { return convertXml(xml, version); } catch {} // fall back to the builder
+  }
+  const target = Number(version);
+  const doc = parser.parse(xml);
+  const vasts = vastNodesOf(doc);
+  if (!vasts.length) return xml;
+  for (const vast of vasts) {
+    if (vast.version === version) continue;
+    for (const ad of toArr(vast.Ad)) convertAd(ad, target);
+    vast.version = version;
+  }
+  return builder.build(doc);
+}
@@ -0,0 +1,33 @@
+// scripts/replay.mjs
+// node scripts/replay.mjs <bundle.json> [--diff]
+// Re-runs a bundle recorded with RECORD_DIR (lib/replay.mjs) without touching the network and
+// prints the handler's answer; --diff exits 1 when it differs from the recorded one.
+import { loadBundle, replayRecording } from "../lib/replay.mjs";
+
+const [file, flag] = process.argv.slice(2);
+if (!file) {
+  console.error("usage: node scripts/replay.mjs <bundle.json> [--diff]");
+  process.exit(2);
+}
+
+// handlers are loaded lazily: each reads its env at import
+const handlers = {
+  unwrap:   async (req, res) => (await import("../api/unwrap.mjs")).default(req, res),
+  openrtb2: async (req, res) => (await import("../api/openrtb2.mjs")).default(req, res),
+  trace:    async (req, res) => (await import("../api/trace.mjs")).default(req, res),
+  validate: async (req, res) => (await import("../api/validate.mjs")).default(req, res)
+};
+
+const bundle = loadBundle(file);
+const out = await replayRecording(bundle, handlers);
+console.log(JSON.stringify(out, null, 1));
+
+if (flag === "--diff") {
+  // timings and per-run ids are expected to move
+  const volatile = /"(ms|now|budgetMs|x-unwrap-recording)":\s*("[^"]*"|[\d.]+)/g;
+  const parse = v => { try { return typeof v === "string" ? JSON.parse(v) : v; } catch { return v; } };
+  const norm = v => JSON.stringify(parse(v) ?? null).replace(volatile, "");
+  const same = bundle.response.status === out.status && norm(bundle.response.body) === norm(out.body);
+  if (!same) console.error(`[replay] differs from the recorded response (status ${bundle.response.status} → ${out.status})`);
+  process.exit(same ? 0 : 1);
+}
@@ -0,0 +1,66 @@
+// test/adapters.test.mjs — which bids get their SSP wrapper recovered, and from where
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SSP_ADAPTERS = JSON.stringify([
+  {
+    name: "acme",
+    seats: ["Acme-Seat"],
+    hosts: ["acme.test"],
+    nurlPattern: "[?&]imp=",
+    hostRewrite: ["^win\\.", "rv."],
+    wrapperUrl: "https://{nurl.host}/vast?imp={nurl.query.imp}&crid={bid.crid}&seat={seat}",
+    merge: ["Impression", "Creatives"]
+  },
+  { name: "by-seat", seats: ["other"], wrapperUrl: "{nurl.origin}/rv/{bid.ext.rvid}" }
+]);
+const { findWrapperRecovery, registerAdapter, listAdapters } = await import("../lib/adapters.mjs");
+
+test("configured adapters come before the built-ins", () => {
+  assert.deepEqual(listAdapters(), ["acme", "by-seat", "equativ"]);
+});
+
+test("an adapter matches when seat, host and nurl pattern all do; placeholders are filled and encoded", () => {
+  const bid = { nurl: "https://win.eu.acme.test/win?imp=a b&price=1", crid: "c/1" };
+  assert.deepEqual(findWrapperRecovery(bid, { seat: "acme-seat" }), {
+    adapter: "acme",
+    url: "https://rv.eu.acme.test/vast?imp=a%20b&crid=c%2F1&seat=acme-seat",
+    merge: ["Impression", "Creatives"]
+  });
+  // another seat, another host, or no imp= in the nurl: not acme
+  assert.notEqual(findWrapperRecovery(bid, { seat: "x" })?.adapter, "acme");
+  assert.notEqual(findWrapperRecovery({ ...bid, nurl: "https://win.acme.example/win?imp=1" }, { seat: "acme-seat" })?.adapter, "acme");
+  assert.notEqual(findWrapperRecovery({ ...bid, nurl: "https://win.acme.test/win?id=1" }, { seat: "acme-seat" })?.adapter, "acme");
+});
+
+test("a matching adapter whose template cannot be filled reports no URL", () => {
+  const nurl = "https://ssp.example/win";
+  assert.deepEqual(findWrapperRecovery({ nurl, ext: { rvid: "42" } }, { seat: "other" }),
+    { adapter: "by-seat", url: "https://ssp.example/rv/42", merge: ["Impression"] });
+  assert.deepEqual(findWrapperRecovery({ nurl }, { seat: "other" }), { adapter: "by-seat", url: null, merge: ["Impression"] });
+});
+
+test("the built-in Equativ adapter derives the RV URL from bidid / bidnwid", () => {
+  const out = findWrapperRecovery({ nurl: "https://ssb-use1.smartadserver.com/win?bidid=b-1&bidnwid=77&p=${AUCTION_PRICE}" });
+  assert.deepEqual(out, { adapter: "equativ", url: "https://use1.smartadserver.com/rv?vastid=b-1&networkId=77", merge: ["Impression"] });
+});
+
+test("the built-in Equativ adapter leaves nurls without bidid and bidnwid alone", () => {
+  assert.equal(findWrapperRecovery({ nurl: "https://ssp.example/win?bidid=1" }), null);
+  assert.equal(findWrapperRecovery({ nurl: "https://ssb-use1.smartadserver.com/win?bidnwid=77&bidid=" }), null);
+});
+
+test("bids without a usable nurl are never matched", () => {
+  assert.equal(findWrapperRecovery({}), null);
+  assert.equal(findWrapperRecovery({ nurl: "not a url" }, { seat: "other" }), null);
+});
+
+test("registerAdapter adds or replaces an adapter at runtime; bad definitions are refused", () => {
+  registerAdapter({ name: "by-seat", seats: ["other"], wrapperUrl: "https://rv.example/{seat}" });
+  assert.deepEqual(listAdapters(), ["by-seat", "acme", "equativ"]);
+  assert.equal(findWrapperRecovery({ nurl: "https://ssp.example/win" }, { seat: "other" }).url, "https://rv.example/other");
+
+  assert.throws(() => registerAdapter({ name: "x" }), e => e.statusCode === 500 && /no wrapperUrl/.test(e.message));
+  assert.throws(() => registerAdapter({ name: "x", wrapperUrl: "https://x/", merge: ["Creative"] }), /unknown node/);
+  assert.throws(() => registerAdapter({ name: "x", wrapperUrl: "https://x/", nurlPattern: "(" }), /SSP adapter config/);
+});
@@ -0,0 +1,46 @@
+// test/batch.test.mjs — a batch lists <Error> pixels per item instead of firing them; impression origins
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper, call } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { default: unwrap } = await import("../api/unwrap.mjs");
+
+const withError = tag => wrapper(tag).replace("</Wrapper>", "<Error>{{BASE}}/pixel?c=[ERRORCODE]</Error></Wrapper>");
+const server = await startServer({
+  broken: () => withError("{{BASE}}/gone"),
+  gone: () => ({ status: 404, body: "" }),
+  pod: () => `<VAST version="4.2">${[withError("{{BASE}}/gone"), withError("{{BASE}}/inl")]
+    .map((w, k) => w.replace(/^<VAST[^>]*>|<\/VAST>$/g, "").replace("<Ad id=\"w\"", `<Ad id="w${k}" sequence="${k + 1}"`)).join("")}</VAST>`,
+  inl: () => inline("http://t/imp"),
+  tracked: () => wrapper("{{BASE}}/tracked-inl", "http://w/imp?ifa=[IFA]"),
+  "tracked-inl": () => inline("http://t/imp?ifa=[IFA]"),
+  pixel: () => ""
+});
+after(() => server.close());
+
+test("no item fires a pixel; each lists its own", async () => {
+  const body = JSON.stringify([`${server.base}/broken`, `${server.base}/pod`]);
+  const out = await call(unwrap, { method: "POST", url: "/api/unwrap", headers: { "content-type": "application/json" }, body });
+  const [broken, pod] = out.body.items;
+  assert.equal(broken.ok, false);
+  assert.deepEqual(broken.errorPixels, [{ code: 301, urls: [`${server.base}/pixel?c=301`] }]);
+  assert.equal(pod.ok, true);
+  assert.deepEqual(pod.errorPixels, [{ code: 301, urls: [`${server.base}/pixel?c=301`] }]);
+  assert.equal(server.log.filter(r => r.path.startsWith("/pixel")).length, 0);
+});
+
+for (const fidelity of ["0", "1"]) test(`impression origins survive expandTracking (fidelity=${fidelity})`, async () => {
+  const body = JSON.stringify([`${server.base}/tracked`, wrapper(`${server.base}/tracked`, "http://a/imp?ifa=[IFA]")]);
+  const out = await call(unwrap, { method: "POST", url: `/api/unwrap?format=json&expandTracking=1&ifa=abc&fidelity=${fidelity}`, headers: { "content-type": "application/json" }, body });
+  const [url, vast] = out.body.items.map(item => item.model.ads[0].impressions);
+  assert.deepEqual(url, [
+    { url: "http://t/imp?ifa=abc", from: `${server.base}/tracked-inl`, depth: 1 },
+    { url: "http://w/imp?ifa=abc", from: `${server.base}/tracked`, depth: 0 }
+  ]);
+  assert.deepEqual(vast, [
+    { url: "http://t/imp?ifa=abc", from: `${server.base}/tracked-inl`, depth: 2 },
+    { url: "http://w/imp?ifa=abc", from: `${server.base}/tracked`, depth: 1 },
+    { url: "http://a/imp?ifa=abc", from: "(request)", depth: 0 }
+  ]);
+});
@@ -0,0 +1,72 @@
+// test/cache.test.mjs — hop and chain cache entries are never shared across users
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { resolveToInlineWithMeta } = await import("../lib/resolver.mjs");
+
+const server = await startServer({
+  top: () => wrapper("{{BASE}}/inl?u=[IFA]"),
+  inl: q => inline(`http://t/imp?u=${q.u}`),
+  ua: (q, req) => inline(`http://t/imp?ua=${req.headers["user-agent"]}`),
+  cb: () => inline("http://t/imp?cb"),
+  once: () => wrapper("{{BASE}}/behind"),
+  behind: () => inline("http://t/imp?behind"),
+  consent: (q, req) => inline(`http://t/imp?ip=${req.headers["x-forwarded-for"] ?? "none"}`)
+});
+after(() => server.close());
+const hits = path => server.log.filter(r => r.path.startsWith(path)).length;
+
+test("two users with different macros never share a chain or hop entry", async () => {
+  const a = await resolveToInlineWithMeta(`${server.base}/top`, { macros: { IFA: "userA" } });
+  const b = await resolveToInlineWithMeta(`${server.base}/top`, { macros: { IFA: "userB" } });
+  assert.equal(b.cached, "miss");
+  assert.match(a.xml, /u=userA/);
+  assert.match(b.xml, /u=userB/);
+  assert.doesNotMatch(b.xml, /userA/);
+  assert.equal(hits("/inl?u=userB"), 1);
+
+  const again = await resolveToInlineWithMeta(`${server.base}/top`, { macros: { IFA: "userA" } });
+  assert.equal(again.cached, "hit");
+  assert.match(again.xml, /u=userA/);
+});
+
+test("forwarded client headers are part of the key", async () => {
+  const a = await resolveToInlineWithMeta(`${server.base}/ua`, { headers: { "User-Agent": "PlayerA" } });
+  const b = await resolveToInlineWithMeta(`${server.base}/ua`, { headers: { "User-Agent": "PlayerB" } });
+  assert.equal(b.cached, "miss");
+  assert.match(a.xml, /ua=PlayerA/);
+  assert.match(b.xml, /ua=PlayerB/);
+  assert.equal(hits("/ua"), 2);
+});
+
+test("a user without consent never gets an entry built with identifiers", async () => {
+  const a = await resolveToInlineWithMeta(`${server.base}/consent`, { headers: { "X-Forwarded-For": "203.0.113.7" } });
+  const b = await resolveToInlineWithMeta(`${server.base}/consent`, { personalData: false });
+  const c = await resolveToInlineWithMeta(`${server.base}/consent`);
+  assert.match(a.xml, /ip=203\.0\.113\.7/);
+  assert.equal(b.cached, "miss");
+  assert.match(b.xml, /ip=none/);
+  assert.equal(c.cached, "miss");
+  assert.equal(hits("/consent"), 3);
+});
+
+test("a tag with [CACHEBUSTING] is fetched every time", async () => {
+  for (let k = 0; k < 2; k++) {
+    const r = await resolveToInlineWithMeta(`${server.base}/cb?r=[CACHEBUSTING]`);
+    assert.equal(r.cached, "miss");
+  }
+  assert.equal(hits("/cb"), 2);
+});
+
+test("a one-off URL is not cached, the hops behind it are", async () => {
+  for (const ts of [1, 2]) {
+    const r = await resolveToInlineWithMeta(`${server.base}/once?ts=${ts}`, { oneOff: true });
+    assert.equal(r.cached, "bypass");
+  }
+  const again = await resolveToInlineWithMeta(`${server.base}/once?ts=2`);
+  assert.equal(again.cached, "miss");
+  assert.equal(hits("/once"), 3);
+  assert.equal(hits("/behind"), 1);
+});
@@ -0,0 +1,58 @@
+// test/deadline.test.mjs — bids still unwrapping at the auction's tmax go out as they came
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper, call } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { default: openrtb2 } = await import("../api/openrtb2.mjs");
+
+const SLOW_MS = 400;
+const server = await startServer({
+  fast: () => inline("http://t/imp?fast"),
+  slow: () => new Promise(resolve => setTimeout(resolve, SLOW_MS, { status: 404, body: "" }))
+});
+after(() => server.close());
+
+const withError = tag => wrapper(tag).replace("</Wrapper>", `<Error>${server.base}/pixel?c=[ERRORCODE]</Error></Wrapper>`);
+const realFetch = globalThis.fetch;
+async function auction(request, bids) {
+  globalThis.fetch = async (url, init) => (String(url).startsWith("https://bidder.test/")
+    ? new Response(JSON.stringify({ id: "r", seatbid: [{ seat: "s", bid: bids }] }), { headers: { "content-type": "application/json" } })
+    : realFetch(url, init));
+  try {
+    return await call(openrtb2, { method: "POST", url: "/api/openrtb2", headers: { "x-bid-endpoint": "https://bidder.test/bid" }, body: request });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+test("a bid still unwrapping at tmax keeps its adm; the others are unwrapped", async () => {
+  const late = withError(`${server.base}/slow`);
+  const startedAt = Date.now();
+  const out = await auction({ id: "r", tmax: 200, imp: [{ id: "1" }] }, [
+    { id: "on-time", impid: "1", price: 1, adm: wrapper(`${server.base}/fast`) },
+    { id: "late", impid: "1", price: 1, adm: late }
+  ]);
+  assert.ok(Date.now() - startedAt < SLOW_MS);
+  assert.equal(out.status, 200);
+  assert.equal(out.headers["x-unwrap-timed-out"], "1");
+
+  const [onTime, lateBid] = out.body.seatbid[0].bid;
+  assert.match(onTime.adm, /<InLine>/);
+  assert.equal(lateBid.adm, late);
+  assert.equal(lateBid.ext.unwrap.timedOut, true);
+  assert.equal(lateBid.ext.unwrap.reason, "deadline-exceeded");
+
+  // the unwrap that lost the race finishes later and changes nothing that was sent
+  await new Promise(resolve => setTimeout(resolve, SLOW_MS + 100));
+  assert.equal(lateBid.adm, late);
+  assert.equal(lateBid.ext.unwrap.error, undefined);
+  // nor does its broken chain report an <Error> for a bid that went out untouched
+  assert.equal(server.log.filter(r => r.path.startsWith("/pixel")).length, 0);
+});
+
+test("without tmax (and DEFAULT_TMAX_MS) there is no deadline", async () => {
+  const out = await auction({ id: "r", imp: [{ id: "1" }] }, [{ id: "b", impid: "1", price: 1, adm: wrapper(`${server.base}/fast`) }]);
+  assert.equal(out.headers["x-unwrap-timed-out"], undefined);
+  assert.match(out.body.seatbid[0].bid[0].adm, /<InLine>/);
+});
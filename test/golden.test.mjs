@@ -0,0 +1,45 @@
+// test/golden.test.mjs — resolved output of test/golden/<case>/ against expected files
+// Each case serves its input documents (<name>.xml at /<name>; {{BASE}} is the server) and
+// resolves /wrapper with both merge paths: the object merge must match object.xml and the
+// lossless one fidelity.xml, byte for byte. An options.json ({ media: filters, version }) has the
+// result go through the media filter and the version rewrite too, in the same mode.
+// UPDATE_GOLDEN=1 rewrites the expected files.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startServer } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { resolveToInlineWithMeta } = await import("../lib/resolver.mjs");
+const { filterMediaFiles } = await import("../lib/media.mjs");
+const { convertVastVersion } = await import("../lib/version.mjs");
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const EXPECTED = { object: "object.xml", fidelity: "fidelity.xml" };
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const servers = [];
+after(() => Promise.all(servers.map(s => s.close())));
+
+for (const name of fs.readdirSync(ROOT).sort()) {
+  const dir = path.join(ROOT, name);
+  const inputs = fs.readdirSync(dir).filter(f => f.endsWith(".xml") && !Object.values(EXPECTED).includes(f));
+  const options = fs.existsSync(path.join(dir, "options.json")) ? JSON.parse(fs.readFileSync(path.join(dir, "options.json"), "utf8")) : {};
+  const routes = Object.fromEntries(inputs.map(f => [path.basename(f, ".xml"), () => fs.readFileSync(path.join(dir, f), "utf8")]));
+
+  for (const [mode, file] of Object.entries(EXPECTED)) {
+    test(`${name} (${mode})`, async () => {
+      const server = await startServer(routes);
+      servers.push(server);
+      const fidelity = mode === "fidelity";
+      let { xml } = await resolveToInlineWithMeta(`${server.base}/wrapper`, { fidelity });
+      if (options.media) xml = filterMediaFiles(xml, options.media, { fidelity }).xml;
+      if (options.version) xml = convertVastVersion(xml, options.version, { fidelity });
+      const got = xml.replaceAll(server.base, "{{BASE}}");
+      if (UPDATE) fs.writeFileSync(path.join(dir, file), got);
+      assert.equal(got, fs.readFileSync(path.join(dir, file), "utf8"));
+    });
+  }
+}
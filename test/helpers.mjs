@@ -0,0 +1,43 @@
+// test/helpers.mjs
+// Local ad server for the tests: GET /<name> answers routes[name](query, req) (a string, or
+// { status, body, headers }, or a promise of one); {{BASE}} in a body becomes the server's own origin. Every
+// request is logged ({ path, headers }). The resolver refuses loopback hops unless
+// HOP_ALLOW_PRIVATE=1, so test files set it before importing lib/.
+import http from "node:http";
+
+export async function startServer(routes) {
+  const log = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    log.push({ path: url.pathname + url.search, headers: req.headers });
+    const route = routes[url.pathname.slice(1)];
+    let out = route ? await route(Object.fromEntries(url.searchParams), req) : { status: 404, body: "" };
+    if (typeof out === "string") out = { body: out };
+    res.writeHead(out.status || 200, { "content-type": "application/xml", ...out.headers });
+    res.end(String(out.body ?? "").replaceAll("{{BASE}}", base));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { base, log, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+export const inline = (imp, extra = "") =>
+  `<VAST version="4.2"><Ad id="i"><InLine><AdSystem>I</AdSystem><AdTitle>t</AdTitle><Impression>${imp}</Impression>${extra}</InLine></Ad></VAST>`;
+export const wrapper = (tag, imp = "http://w/imp") =>
+  `<VAST version="4.2"><Ad id="w"><Wrapper><AdSystem>W</AdSystem><VASTAdTagURI><![CDATA[${tag}]]></VASTAdTagURI><Impression>${imp}</Impression></Wrapper></Ad></VAST>`;
+
+// Runs a Vercel-style handler on a plain request → { status, headers, body }; header values are
+// checked the way node:http checks them
+export async function call(handler, { method = "GET", url, headers = {}, body } = {}) {
+  const out = { status: 200, headers: {}, body: null };
+  const res = {
+    status(c) { out.status = c; return this; },
+    setHeader(k, v) { http.validateHeaderValue(k, v); out.headers[String(k).toLowerCase()] = v; return this; },
+    send(b) { out.body = b; return this; },
+    json(b) { out.body = b; return this; },
+    end(b) { if (b != null) out.body = b; return this; }
+  };
+  const query = Object.fromEntries(new URL(url, "http://test").searchParams);
+  await handler({ method, url, headers: { host: "test", ...headers }, query, ...(body != null ? { body } : {}), socket: {} }, res);
+  return out;
+}
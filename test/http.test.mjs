@@ -0,0 +1,70 @@
+// test/http.test.mjs — hop fetch hardening (lib/http.mjs) and wrapper loop detection
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, wrapper } from "./helpers.mjs";
+
+// loopback is the only place a test server can live: the resolver (and its lib/http.mjs) are loaded
+// with private targets allowed, a second lib/http.mjs instance without
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { resolveToInlineWithMeta, VAST_ERROR } = await import("../lib/resolver.mjs");
+const { safeFetch } = await import("../lib/http.mjs");
+delete process.env.HOP_ALLOW_PRIVATE;
+const strict = await import("../lib/http.mjs?strict");
+
+const server = await startServer({
+  hop: q => (Number(q.n) > 0 ? { status: 302, headers: { location: `/hop?n=${Number(q.n) - 1}` }, body: "" } : "done"),
+  a: () => wrapper("{{BASE}}/b?cb=1"),
+  b: q => wrapper(`{{BASE}}/a?cb=${Number(q.cb) + 1}`),
+  big: q => "x".repeat(Number(q.size))
+});
+after(() => server.close());
+
+test("loopback, private, link-local and metadata addresses are refused", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0", "::1", "fc00::1", "fe80::1"]) {
+    assert.equal(strict.isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ["93.184.216.34", "2606:4700::1111"]) assert.equal(strict.isBlockedAddress(ip), false, ip);
+});
+
+test("IPv4-mapped IPv6 and decimal / hex IPv4 spellings are refused", async () => {
+  assert.equal(strict.isBlockedAddress("::ffff:127.0.0.1"), true);
+  assert.equal(strict.isBlockedAddress("::ffff:7f00:1"), true);
+  for (const url of ["http://2130706433/", "http://0x7f.1/", "http://017700000001/", "http://[::ffff:127.0.0.1]/", "http://[::ffff:a9fe:a9fe]/"]) {
+    await assert.rejects(strict.safeFetch(url), e => e.blocked?.startsWith("address "), url);
+  }
+});
+
+test("a host name that resolves to a private address is refused at connect time", async () => {
+  await assert.rejects(strict.safeFetch("http://localhost:9/"), e => /^localhost resolves to /.test(e.blocked));
+});
+
+test("only http(s) URLs are fetched", async () => {
+  for (const url of ["file:///etc/passwd", "ftp://example.com/", "gopher://example.com/", "not a url"]) {
+    await assert.rejects(strict.safeFetch(url), e => Boolean(e.blocked), url);
+  }
+});
+
+test("redirects are followed up to the cap", async () => {
+  const resp = await safeFetch(`${server.base}/hop?n=3`, { maxRedirects: 3 });
+  assert.equal(await resp.text(), "done");
+  assert.deepEqual(resp.redirects.map(u => new URL(u).search), ["?n=2", "?n=1", "?n=0"]);
+
+  await assert.rejects(safeFetch(`${server.base}/hop?n=4`, { maxRedirects: 3 }), e => e.blocked === "more than 3 redirects");
+  assert.equal(server.log.filter(r => r.path.startsWith("/hop")).length, 4 + 4);
+});
+
+test("bodies past maxBytes are refused, whether they arrive in one chunk or many", async () => {
+  assert.equal((await (await safeFetch(`${server.base}/big?size=2000`, { maxBytes: 4096 })).text()).length, 2000);
+  for (const size of [2000, 200_000]) {
+    await assert.rejects(safeFetch(`${server.base}/big?size=${size}`, { maxBytes: 1000 }), e => e.blocked === "response larger than 1000 bytes", String(size));
+  }
+});
+
+test("a wrapper chain that comes back to a tag it already requested is a loop", async () => {
+  // /a → /b?cb=1 → /a?cb=2: the cachebuster differs, the tag does not
+  const err = await resolveToInlineWithMeta(`${server.base}/a`, { macros: {} }).catch(e => e);
+  assert.equal(err.vastCode, VAST_ERROR.WRAPPER_LIMIT);
+  assert.equal(err.blocked?.reason, "loop");
+  assert.equal(err.blocked.url, `${server.base}/a?cb=2`);
+  assert.equal(server.log.filter(r => r.path.startsWith("/a")).length, 1);
+});
@@ -0,0 +1,87 @@
+// test/mergepolicy.test.mjs — how wrapper impressions merge (keep-all / dedup / canonical-dedup), and
+// where a policy comes from
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+process.env.MERGE_POLICY_PARTNERS = JSON.stringify({
+  acme: { hosts: ["acme.test"], seats: ["seat-1"], Impression: "canonical-dedup", origin: "extension" }
+});
+const { resolveToInlineWithMeta } = await import("../lib/resolver.mjs");
+const { DEFAULT_MERGE_POLICY, mergePolicyFor, mergePolicyOverrides, mergePolicyKey, canonicalUrl } = await import("../lib/mergepolicy.mjs");
+
+// the wrapper repeats the InLine's impression: byte for byte (/same), or with another
+// cachebuster and parameter order (/shuffled)
+const server = await startServer({
+  same: () => wrapper("{{BASE}}/inl", "http://t/imp?a=1&amp;b=2&amp;cb=111"),
+  shuffled: () => wrapper("{{BASE}}/inl", "http://t/imp?b=2&amp;a=1&amp;cb=222"),
+  inl: () => inline("http://t/imp?a=1&amp;b=2&amp;cb=111")
+});
+after(() => server.close());
+
+const impressions = async (path, Impression, fidelity) => {
+  const { xml } = await resolveToInlineWithMeta(`${server.base}/${path}`, { fidelity, mergePolicy: { ...DEFAULT_MERGE_POLICY, Impression } });
+  return xml.match(/<Impression>/g).length;
+};
+
+for (const fidelity of [false, true]) {
+  test(`keep-all appends every wrapper impression (fidelity ${fidelity})`, async () => {
+    assert.equal(await impressions("same", "keep-all", fidelity), 2);
+  });
+
+  test(`dedup skips the same URL only (fidelity ${fidelity})`, async () => {
+    assert.equal(await impressions("same", "dedup", fidelity), 1);
+    assert.equal(await impressions("shuffled", "dedup", fidelity), 2);
+  });
+
+  test(`canonical-dedup ignores cachebusters and parameter order (fidelity ${fidelity})`, async () => {
+    assert.equal(await impressions("shuffled", "canonical-dedup", fidelity), 1);
+  });
+}
+
+test("canonical URLs drop volatile parameters and the fragment, and sort the rest", () => {
+  assert.equal(canonicalUrl("http://t/imp?b=2&cb=1&a=1#x"), "http://t/imp?a=1&b=2");
+  assert.equal(canonicalUrl("http://t/imp?b=2&ord=9", ["cb"]), "http://t/imp?b=2&ord=9");
+  assert.equal(canonicalUrl(" not a url "), "not a url");
+});
+
+test("a partner's policy applies by tag host or seat; the request overrides it", () => {
+  assert.equal(DEFAULT_MERGE_POLICY.Impression, "keep-all");
+  assert.equal(mergePolicyFor({ url: "https://ads.acme.test/vast" }).Impression, "canonical-dedup");
+  assert.equal(mergePolicyFor({ url: "https://other.test/vast", seat: "seat-1" }).origin, "extension");
+  assert.deepEqual(mergePolicyFor({ url: "https://acme.test.example/vast" }), DEFAULT_MERGE_POLICY);
+
+  const overrides = mergePolicyOverrides(k => ({ merge: "impression:dedup,Tracking:keep-all", volatileParams: "cb,ts" })[k] ?? null);
+  assert.deepEqual(overrides, { Impression: "dedup", Tracking: "keep-all", volatileParams: ["cb", "ts"] });
+  const policy = mergePolicyFor({ url: "https://ads.acme.test/vast" }, overrides);
+  assert.deepEqual([policy.Impression, policy.Tracking, policy.origin], ["dedup", "keep-all", "extension"]);
+});
+
+test("bad request overrides are a 400", () => {
+  assert.throws(() => mergePolicyOverrides(k => (k === "merge" ? "Impression:sometimes" : null)), e => e.statusCode === 400);
+  assert.throws(() => mergePolicyOverrides(k => (k === "merge" ? "Creative:dedup" : null)), e => e.statusCode === 400);
+  assert.throws(() => mergePolicyOverrides(k => (k === "origin" ? "attribute" : null)), e => e.statusCode === 400);
+});
+
+test("only a policy that differs from the default gets its own cache key", () => {
+  assert.equal(mergePolicyKey(DEFAULT_MERGE_POLICY), "");
+  assert.equal(mergePolicyKey({ ...DEFAULT_MERGE_POLICY, Impression: "dedup" }), '{"Impression":"dedup"}');
+});
+
+test("origin: extension records where merged impressions came from", async () => {
+  const { xml } = await resolveToInlineWithMeta(`${server.base}/shuffled`, { mergePolicy: { ...DEFAULT_MERGE_POLICY, origin: "extension" } });
+  assert.match(xml, /<Extension type="unwrap-origin">/);
+  assert.ok(xml.includes(`${server.base}/shuffled`));
+});
+
+test("a malformed MERGE_POLICY or MERGE_POLICY_PARTNERS is ignored with a warning", async t => {
+  const warn = t.mock.method(console, "warn", () => {});
+  process.env.MERGE_POLICY = "{Impression: dedup";
+  process.env.MERGE_POLICY_PARTNERS = JSON.stringify({ acme: { hosts: ["acme.test"], Impression: "sometimes" } });
+  t.after(() => { delete process.env.MERGE_POLICY; });
+  const fallback = await import("../lib/mergepolicy.mjs?malformed");
+  assert.deepEqual(fallback.DEFAULT_MERGE_POLICY, DEFAULT_MERGE_POLICY);
+  assert.deepEqual(fallback.mergePolicyFor({ url: "https://acme.test/vast" }), DEFAULT_MERGE_POLICY);
+  assert.deepEqual(warn.mock.calls.map(c => c.arguments[0].split(":")[0]), ["[mergepolicy] ignoring MERGE_POLICY", "[mergepolicy] ignoring MERGE_POLICY_PARTNERS"]);
+});
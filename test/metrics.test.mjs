@@ -0,0 +1,78 @@
+// test/metrics.test.mjs — counters, histograms and the Prometheus text they render to
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call } from "./helpers.mjs";
+
+process.env.METRICS_MAX_SERIES = "3";
+const { counter, histogram, renderPrometheus, recordOutcome, recentRates } = await import("../lib/metrics.mjs");
+const { default: metricsHandler } = await import("../api/metrics.mjs");
+
+const block = (text, name) => text.split("\n").filter(l => l.includes(`vast_unwrapper_${name}`));
+
+test("a counter renders HELP, TYPE and one line per label set, labels sorted and escaped", () => {
+  const c = counter("test_events_total", "Events seen.");
+  c.inc({ kind: "a", host: "h" });
+  c.inc({ host: "h", kind: "a" }, 2);
+  c.inc({ kind: 'say "hi"\\\n' });
+  c.inc();
+  assert.deepEqual(block(renderPrometheus(), "test_events_total"), [
+    "# HELP vast_unwrapper_test_events_total Events seen.",
+    "# TYPE vast_unwrapper_test_events_total counter",
+    'vast_unwrapper_test_events_total{host="h",kind="a"} 3',
+    'vast_unwrapper_test_events_total{kind="say \\"hi\\"\\\\\\n"} 1',
+    "vast_unwrapper_test_events_total 1"
+  ]);
+});
+
+test("a histogram renders cumulative buckets, +Inf, sum and count", () => {
+  const h = histogram("test_seconds", "Durations.", [0.1, 1]);
+  for (const v of [0.05, 0.5, 3]) h.observe({ host: "h" }, v);
+  assert.deepEqual(block(renderPrometheus(), "test_seconds"), [
+    "# HELP vast_unwrapper_test_seconds Durations.",
+    "# TYPE vast_unwrapper_test_seconds histogram",
+    'vast_unwrapper_test_seconds_bucket{host="h",le="0.1"} 1',
+    'vast_unwrapper_test_seconds_bucket{host="h",le="1"} 2',
+    'vast_unwrapper_test_seconds_bucket{host="h",le="+Inf"} 3',
+    'vast_unwrapper_test_seconds_sum{host="h"} 3.55',
+    'vast_unwrapper_test_seconds_count{host="h"} 3'
+  ]);
+});
+
+test("label sets past METRICS_MAX_SERIES are counted as \"other\"", () => {
+  const c = counter("test_hosts_total", "Per host.");
+  for (const host of ["a", "b", "c", "d", "e"]) c.inc({ host });
+  assert.deepEqual(block(renderPrometheus(), "test_hosts_total").slice(2), [
+    'vast_unwrapper_test_hosts_total{host="a"} 1',
+    'vast_unwrapper_test_hosts_total{host="b"} 1',
+    'vast_unwrapper_test_hosts_total{host="c"} 1',
+    'vast_unwrapper_test_hosts_total{host="other"} 2'
+  ]);
+});
+
+test("gauges are sampled at render time; unknown values are left out", () => {
+  const text = renderPrometheus([
+    { name: "test_entries", help: "Entries.", value: 7, labels: { backend: "memory" } },
+    { name: "test_connected", help: "Connected.", value: null }
+  ]);
+  assert.deepEqual(block(text, "test_entries"), [
+    "# HELP vast_unwrapper_test_entries Entries.",
+    "# TYPE vast_unwrapper_test_entries gauge",
+    'vast_unwrapper_test_entries{backend="memory"} 7'
+  ]);
+  assert.equal(block(text, "test_connected").length, 0);
+  assert.ok(text.endsWith("\n"));
+});
+
+test("recent outcomes give an error rate per kind", () => {
+  for (const ok of [true, true, true, false]) recordOutcome("test", ok);
+  assert.deepEqual(recentRates().test, { total: 4, errors: 1, errorRate: 0.25 });
+});
+
+test("GET /api/metrics serves the text format with the cache gauges", async () => {
+  const out = await call(metricsHandler, { url: "/api/metrics" });
+  assert.equal(out.status, 200);
+  assert.equal(out.headers["content-type"], "text/plain; version=0.0.4; charset=utf-8");
+  assert.match(out.body, /^# TYPE vast_unwrapper_hop_duration_seconds histogram$/m);
+  assert.match(out.body, /^vast_unwrapper_cache_entries\{backend="memory"\} \d+$/m);
+  assert.equal((await call(metricsHandler, { method: "POST", url: "/api/metrics" })).status, 405);
+});
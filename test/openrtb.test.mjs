@@ -0,0 +1,57 @@
+// test/openrtb.test.mjs — adm-less bids: which URLs are fetched for their markup
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper, call } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { default: openrtb2 } = await import("../api/openrtb2.mjs");
+
+const server = await startServer({
+  win: () => inline("http://t/imp?nurl"),
+  vast: () => inline("http://t/imp?ext"),
+  broken: () => wrapper("{{BASE}}/missing").replace("</Wrapper>", "<Error>{{BASE}}/pixel?c=[ERRORCODE]</Error></Wrapper>")
+});
+after(() => server.close());
+
+// the upstream bidder is stubbed; every other request goes out for real
+const realFetch = globalThis.fetch;
+async function auction(bids) {
+  globalThis.fetch = async (url, init) => (String(url).startsWith("https://bidder.test/")
+    ? new Response(JSON.stringify({ id: "r", seatbid: [{ seat: "s", bid: bids }] }), { headers: { "content-type": "application/json" } })
+    : realFetch(url, init));
+  try {
+    return await call(openrtb2, { method: "POST", url: "/api/openrtb2", headers: { "x-bid-endpoint": "https://bidder.test/bid" }, body: { id: "r", imp: [{ id: "1" }] } });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+test("the nurl is not fetched by default: it may be the win notice", async () => {
+  const out = await auction([{ id: "b", impid: "1", price: 1, nurl: `${server.base}/win?ts=\${AUCTION_IMP_TS}` }]);
+  assert.equal(out.status, 200);
+  assert.equal(server.log.filter(r => r.path.startsWith("/win")).length, 0);
+  assert.equal(out.body.seatbid[0].bid[0].adm, undefined);
+});
+
+test("a VAST URL in bid.ext is fetched", async () => {
+  const out = await auction([{ id: "b", impid: "1", price: 1, nurl: `${server.base}/win`, ext: { vasturl: `${server.base}/vast` } }]);
+  const bid = out.body.seatbid[0].bid[0];
+  assert.match(bid.adm, /imp\?ext/);
+  assert.equal(bid.ext.unwrap.admSource, "ext.vasturl");
+  assert.equal(server.log.filter(r => r.path.startsWith("/win")).length, 0);
+});
+
+test("<Error> pixels of a broken chain are listed on the bid, not fired during the auction", async () => {
+  const adm = wrapper(`${server.base}/missing`).replace("</Wrapper>", `<Error>${server.base}/pixel?c=[ERRORCODE]</Error></Wrapper>`);
+  const out = await auction([
+    { id: "a", impid: "1", price: 1, adm },
+    { id: "b", impid: "1", price: 1, ext: { vasturl: `${server.base}/broken` } }
+  ]);
+  const [a, b] = out.body.seatbid[0].bid;
+  assert.equal(a.ext.unwrap.error, "unwrap-failed");
+  assert.equal(a.adm, adm);
+  assert.deepEqual(a.ext.unwrap.errorPixels, [{ code: 301, urls: [`${server.base}/pixel?c=301`] }]);
+  assert.equal(b.ext.unwrap.error, "adm-fetch-failed");
+  assert.deepEqual(b.ext.unwrap.errorPixels, [{ code: 301, urls: [`${server.base}/pixel?c=301`] }]);
+  assert.equal(server.log.filter(r => r.path.startsWith("/pixel")).length, 0);
+});
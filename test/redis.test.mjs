@@ -0,0 +1,122 @@
+// test/redis.test.mjs — the Redis cache store against a minimal RESP server
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { createRedisStore, readThrough } from "../lib/cache.mjs";
+
+// GET / SET [PX] / DEL over RESP2, enough for the store; every command is logged
+function startResp({ silent = false } = {}) {
+  const data = new Map(); // key → { value, expiresAt }
+  const log = [];
+  const reply = args => {
+    const [cmd, key, value, ...opts] = args;
+    switch (cmd.toUpperCase()) {
+      case "GET": {
+        const e = data.get(key);
+        if (!e || (e.expiresAt && Date.now() >= e.expiresAt)) return "$-1\r\n";
+        return `$${Buffer.byteLength(e.value)}\r\n${e.value}\r\n`;
+      }
+      case "SET": {
+        const px = opts[0]?.toUpperCase() === "PX" ? Number(opts[1]) : 0;
+        data.set(key, { value, expiresAt: px ? Date.now() + px : 0 });
+        return "+OK\r\n";
+      }
+      case "DEL": return `:${Number(data.delete(key))}\r\n`;
+      default: return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  };
+  // *<n>\r\n($<len>\r\n<bytes>\r\n)×n → [args, rest] or null while incomplete
+  const parse = buf => {
+    const text = buf.toString("utf8");
+    const lines = text.split("\r\n");
+    const n = Number(lines[0].slice(1));
+    if (lines.length < 1 + 2 * n + 1) return null;
+    const args = [];
+    for (let i = 0; i < n; i++) args.push(lines[2 + 2 * i]);
+    const used = lines.slice(0, 1 + 2 * n).join("\r\n").length + 2;
+    return [args, Buffer.from(text.slice(used))];
+  };
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buf = Buffer.alloc(0);
+    socket.on("data", chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      let r;
+      while (buf.length && (r = parse(buf))) {
+        [, buf] = r;
+        log.push(r[0]);
+        if (!silent) socket.write(reply(r[0]));
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data, log,
+    close: () => new Promise(done => { for (const s of sockets) s.destroy(); server.close(done); })
+  })));
+}
+
+const resp = await startResp();
+after(() => resp.close());
+
+test("set / get round-trip the entry under the prefix, with a PX of ttl + swr", async () => {
+  const store = createRedisStore({ url: resp.url, prefix: "t1:" });
+  await store.set("k", { xml: "<VAST/>" }, { ttl: 1000, swr: 500 });
+  const [cmd, key, , px, ms] = resp.log.at(-1);
+  assert.deepEqual([cmd, key, px], ["SET", "t1:k", "PX"]);
+  assert.ok(Number(ms) > 1400 && Number(ms) <= 1500);
+
+  const e = await store.get("k");
+  assert.deepEqual(e.val, { xml: "<VAST/>" });
+  assert.ok(e.exp < e.staleUntil);
+  assert.equal(await store.get("other"), null);
+
+  await store.delete("k");
+  assert.equal(await store.get("k"), null);
+  assert.equal(store.stats().backend, "redis");
+  store.close();
+});
+
+test("an entry is gone once its TTL (and stale window) is over", async () => {
+  const store = createRedisStore({ url: resp.url, prefix: "t2:" });
+  await store.set("k", "v", { ttl: 30 });
+  assert.equal((await store.get("k")).val, "v");
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(await store.get("k"), null);
+  store.close();
+});
+
+test("readThrough serves a fresh Redis entry as a hit", async () => {
+  const store = createRedisStore({ url: resp.url, prefix: "t3:" });
+  let loads = 0;
+  const load = async () => { loads++; return { val: "v", ttl: 1000 }; };
+  assert.equal((await readThrough(store, "k", load)).status, "miss");
+  const again = await readThrough(store, "k", load);
+  assert.deepEqual([again.val, again.status, loads], ["v", "hit", 1]);
+  store.close();
+});
+
+test("a refused connection reads as a miss and the load still runs", async () => {
+  const closed = await startResp();
+  await closed.close(); // nothing listens on its port any more
+  const store = createRedisStore({ url: closed.url, timeoutMs: 200 });
+  assert.equal(await store.get("k"), null);
+  await store.set("k", "v", { ttl: 1000 }); // does not throw
+  assert.ok(store.stats().lastError);
+  const out = await readThrough(store, "refused", async () => ({ val: "loaded", ttl: 1000 }));
+  assert.deepEqual([out.val, out.status], ["loaded", "miss"]);
+  store.close();
+});
+
+test("a server that does not answer times out as a miss", async () => {
+  const silent = await startResp({ silent: true });
+  const store = createRedisStore({ url: silent.url, timeoutMs: 50 });
+  const startedAt = Date.now();
+  assert.equal(await store.get("k"), null);
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.match(store.stats().lastError, /timeout/);
+  store.close();
+  await silent.close();
+});
@@ -0,0 +1,61 @@
+// test/replay-offline.test.mjs — a recorded bundle re-runs without the network
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import { inline, wrapper } from "./helpers.mjs";
+
+const { replayRecording } = await import("../lib/replay.mjs");
+const { default: unwrap } = await import("../api/unwrap.mjs");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "unwrap-replay-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// what RECORD_DIR wrote for GET /api/unwrap?url=http://ads.example/tag (hosts that do not resolve)
+const exchange = (url, body) => ({ method: "GET", url, requestHeaders: {}, status: 200, headers: { "content-type": "application/xml" }, body, ms: 12 });
+const bundle = (...exchanges) => ({
+  version: 1,
+  handler: "unwrap",
+  recordedAt: "2026-01-01T00:00:00.000Z",
+  request: { method: "GET", url: `/api/unwrap?url=${encodeURIComponent("http://ads.example/tag")}`, headers: { "user-agent": "UA" } },
+  exchanges,
+  response: { status: 200, headers: {}, body: null }
+});
+const tag = exchange("http://ads.example/tag", wrapper("http://ssp.example/vast?cb=[CACHEBUSTING]", "http://ads.example/imp"));
+// the cachebuster differs on every run: matched on origin + path
+const vast = exchange("http://ssp.example/vast?cb=4711", inline("http://ssp.example/imp"));
+
+test("a request the bundle does not hold fails like a network error", async () => {
+  const out = await replayRecording(bundle(tag), { unwrap });
+  assert.equal(out.status, 200);
+  assert.ok(out.headers["x-unwrap-error-code"]);
+  assert.doesNotMatch(out.body, /<InLine>/);
+  await assert.rejects(replayRecording({ ...bundle(), handler: "nope" }, { unwrap }), /No handler "nope"/);
+});
+
+test("the recorded handler call is answered from the bundle alone", async () => {
+  const out = await replayRecording(bundle(tag, vast), { unwrap });
+  assert.equal(out.status, 200);
+  assert.equal(out.headers["x-unwrap-depth"], "1");
+  assert.match(out.body, /<Impression[^>]*>http:\/\/ssp.example\/imp<\/Impression>/);
+  assert.match(out.body, /<Impression[^>]*>http:\/\/ads.example\/imp<\/Impression>/);
+});
+
+test("scripts/replay.mjs --diff compares the replay with the recorded response", async () => {
+  const script = fileURLToPath(new URL("../scripts/replay.mjs", import.meta.url));
+  const run = promisify(execFile);
+  const recorded = bundle(tag, vast);
+  recorded.response = await replayRecording(recorded, { unwrap });
+  const file = path.join(dir, "same.json");
+  fs.writeFileSync(file, JSON.stringify(recorded));
+  const { stdout } = await run(process.execPath, [script, file, "--diff"], { timeout: 30_000 });
+  assert.equal(JSON.parse(stdout).body, recorded.response.body);
+
+  const changed = path.join(dir, "changed.json");
+  fs.writeFileSync(changed, JSON.stringify({ ...recorded, response: { ...recorded.response, body: "<VAST/>" } }));
+  await assert.rejects(run(process.execPath, [script, changed, "--diff"], { timeout: 30_000 }), e => e.code === 1);
+});
@@ -0,0 +1,54 @@
+// test/replay.test.mjs — every recording holds the fetches of its own handler call, without personal data
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startServer, inline, wrapper, call } from "./helpers.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "unwrap-rec-"));
+process.env.HOP_ALLOW_PRIVATE = "1";
+process.env.RECORD_DIR = dir;
+const { default: unwrap } = await import("../api/unwrap.mjs");
+const { default: openrtb2 } = await import("../api/openrtb2.mjs");
+
+const server = await startServer({
+  top: () => wrapper("{{BASE}}/inl"),
+  inl: () => new Promise(resolve => setTimeout(() => resolve(inline("http://t/imp")), 50))
+});
+const bundleOf = out => JSON.parse(fs.readFileSync(path.join(dir, `${out.headers["x-unwrap-recording"]}.json`), "utf8"));
+after(async () => { await server.close(); fs.rmSync(dir, { recursive: true, force: true }); });
+
+test("concurrent calls each record their own exchanges", async () => {
+  const url = `/api/unwrap?url=${encodeURIComponent(`${server.base}/top`)}`;
+  const [a, b] = await Promise.all([call(unwrap, { url }), call(unwrap, { url })]);
+  assert.equal(a.headers["x-unwrap-depth"], "1");
+  assert.equal(b.headers["x-unwrap-depth"], "1");
+  for (const out of [a, b]) {
+    assert.deepEqual(bundleOf(out).exchanges.map(x => new URL(x.url).pathname), ["/top", "/inl"]);
+  }
+});
+
+test("outbound requests are recorded without the client's address or personal fields", async () => {
+  const hop = await call(unwrap, { url: `/api/unwrap?url=${encodeURIComponent(`${server.base}/top`)}`, headers: { "x-forwarded-for": "203.0.113.9", "user-agent": "UA" } });
+  assert.equal(server.log.at(-1).headers["x-forwarded-for"], "203.0.113.9");
+  for (const x of bundleOf(hop).exchanges) assert.deepEqual(x.requestHeaders, { "user-agent": "UA" });
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(JSON.stringify({ id: "r", seatbid: [] }), { headers: { "content-type": "application/json" } });
+  let rtb;
+  try {
+    rtb = await call(openrtb2, {
+      method: "POST", url: "/api/openrtb2", headers: { "x-bid-endpoint": "https://bidder.test/bid" },
+      body: { id: "r", imp: [{ id: "1" }], device: { ua: "UA", ifa: "ifa-1", ip: "203.0.113.9", geo: { lat: 1, lon: 2 } }, user: { id: "u-1", ext: { consent: "CO-tcf" } } }
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  const [upstream] = bundleOf(rtb).exchanges;
+  assert.deepEqual(JSON.parse(upstream.requestBody), {
+    id: "r", imp: [{ id: "1" }],
+    device: { ua: "UA", ifa: "[redacted]", ip: "[redacted]", geo: "[redacted]" },
+    user: { id: "[redacted]", ext: { consent: "[redacted]" } }
+  });
+});
@@ -0,0 +1,21 @@
+// test/unwrap.test.mjs — GET /api/unwrap: the response when a chain breaks
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, wrapper, call } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { default: unwrap } = await import("../api/unwrap.mjs");
+
+const server = await startServer({
+  loop: () => wrapper("{{BASE}}/loop?slot=广告")
+});
+after(() => server.close());
+
+test("a broken chain with a non-ASCII URL still gets its no-ad answer and error headers", async () => {
+  const out = await call(unwrap, { url: `/api/unwrap?url=${encodeURIComponent(`${server.base}/loop?slot=广告`)}` });
+  assert.equal(out.status, 200);
+  assert.match(out.body, /<VAST[^>]*\/>|<VAST[^>]*><\/VAST>/);
+  assert.equal(out.headers["x-unwrap-error-code"], "302");
+  assert.match(out.headers["x-unwrap-error"], /^Wrapper loop: .*slot=%E5%B9%BF%E5%91%8A/);
+  assert.deepEqual(JSON.parse(decodeURI(out.headers["x-unwrap-blocked"])), { url: `${server.base}/loop?slot=广告`, reason: "loop" });
+});
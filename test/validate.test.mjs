@@ -0,0 +1,41 @@
+// test/validate.test.mjs — validation lists <Error> pixels instead of firing them
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, wrapper, call } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { default: validate } = await import("../api/validate.mjs");
+
+const emptyWrapper = `<VAST version="4.2"><Ad id="e"><Wrapper><AdSystem>W</AdSystem><VASTAdTagURI></VASTAdTagURI><Error>{{BASE}}/pixel?c=[ERRORCODE]</Error></Wrapper></Ad></VAST>`;
+const server = await startServer({
+  top: () => wrapper("{{BASE}}/gone", "{{BASE}}/imp").replace("</Wrapper>", "<Error>{{BASE}}/pixel?c=[ERRORCODE]</Error></Wrapper>"),
+  gone: () => ({ status: 404, body: "" }),
+  empty: () => emptyWrapper,
+  pixel: () => ""
+});
+after(() => server.close());
+const pixels = () => server.log.filter(r => r.path.startsWith("/pixel")).length;
+
+test("a broken chain lists its <Error> pixels and fires none", async () => {
+  const out = await call(validate, { url: `/api/validate?url=${encodeURIComponent(`${server.base}/top`)}` });
+  assert.equal(out.body.summary, "fail");
+  assert.equal(out.body.resolution.vastCode, 301);
+  assert.deepEqual(out.body.resolution.errorPixels, [{ code: 301, urls: [`${server.base}/pixel?c=301`] }]);
+  assert.equal(pixels(), 0);
+});
+
+test("a failed resolution still lints the fetched document", async () => {
+  const out = await call(validate, { url: `/api/validate?url=${encodeURIComponent(`${server.base}/empty`)}` });
+  assert.equal(out.body.summary, "fail");
+  assert.ok(out.body.lint.issues.some(i => i.rule === "empty-wrapper"));
+  assert.equal(pixels(), 0);
+});
+
+test("a posted wrapper is linted as posted when it cannot be resolved", async () => {
+  const xml = emptyWrapper.replaceAll("{{BASE}}", server.base).replace("<VASTAdTagURI></VASTAdTagURI>", `<VASTAdTagURI>${server.base}/gone</VASTAdTagURI>`);
+  const out = await call(validate, { method: "POST", url: "/api/validate", headers: { "content-type": "application/xml" }, body: xml });
+  assert.equal(out.body.summary, "fail");
+  assert.equal(out.body.lint.ads, 1);
+  assert.equal(out.body.resolution.errorPixels.length, 1);
+  assert.equal(pixels(), 0);
+});
@@ -0,0 +1,62 @@
+// test/version.test.mjs — rewriting a VAST 4 document for older players
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertVastVersion, isVastVersion } from "../lib/version.mjs";
+
+const vast42 = `<VAST version="4.2"><Ad id="a" sequence="1" conditionalAd="false"><InLine>
+<AdSystem>S</AdSystem><AdTitle>t</AdTitle><Impression>http://t/imp</Impression>
+<AdServingId>serving-1</AdServingId><Category authority="iab">IAB1</Category>
+<Pricing model="cpm" currency="USD">1.50</Pricing>
+<AdVerifications><Verification vendor="v"><JavaScriptResource apiFramework="omid"><![CDATA[https://v/omid.js]]></JavaScriptResource></Verification></AdVerifications>
+<Creatives><Creative id="c">
+<UniversalAdId idRegistry="ad-id.org">UAID-1</UniversalAdId>
+<Linear skipoffset="00:00:05"><Duration>00:00:15</Duration>
+<TrackingEvents><Tracking event="start">http://t/start</Tracking><Tracking event="progress" offset="00:00:05">http://t/p5</Tracking></TrackingEvents>
+<MediaFiles><MediaFile delivery="progressive" type="video/mp4" width="640" height="360">https://m/v.mp4</MediaFile><Mezzanine delivery="progressive" type="video/mp4" width="1920" height="1080">https://m/mezz.mp4</Mezzanine></MediaFiles>
+<Icons><Icon program="AdChoices"><StaticResource creativeType="image/png">https://i/i.png</StaticResource></Icon></Icons>
+</Linear></Creative></Creatives>
+</InLine></Ad></VAST>`;
+
+test("only known versions are accepted", () => {
+  assert.equal(isVastVersion("3.0"), true);
+  assert.equal(isVastVersion("3"), false);
+  assert.throws(() => convertVastVersion(vast42, "5.0"), e => e.statusCode === 400);
+});
+
+test("to 3.0: 4.x nodes move into extensions or are dropped; the creative keeps its id", () => {
+  const xml = convertVastVersion(vast42, "3.0");
+  assert.match(xml, /<VAST version="3.0">/);
+  assert.doesNotMatch(xml, /conditionalAd|<Category|<Mezzanine/);
+  assert.match(xml, /<Extensions><Extension type="AdVerifications"><AdVerifications><Verification vendor="v">/);
+  assert.match(xml, /<Creative id="c" adId="UAID-1">/);
+  assert.match(xml, /<CreativeExtension type="UniversalAdId"><UniversalAdId idRegistry="ad-id.org">UAID-1<\/UniversalAdId>/);
+  // VAST 3 has all of these
+  for (const kept of ['sequence="1"', 'skipoffset="00:00:05"', '<Tracking event="progress"', "<Icons>", "<Pricing"]) assert.ok(xml.includes(kept), kept);
+});
+
+test("to 2.0: VAST 3 nodes, attributes and tracking events go too", () => {
+  const xml = convertVastVersion(vast42, "2.0");
+  assert.match(xml, /<VAST version="2.0">/);
+  for (const gone of ["sequence=", "skipoffset=", 'event="progress"', "<Icons>", "<Pricing"]) assert.ok(!xml.includes(gone), gone);
+  assert.match(xml, /<Tracking event="start">http:\/\/t\/start<\/Tracking>/);
+  assert.match(xml, /<MediaFile [^>]*>https:\/\/m\/v.mp4<\/MediaFile>/);
+});
+
+test("AdServingId came with VAST 4.1", () => {
+  for (const fidelity of [false, true]) {
+    assert.doesNotMatch(convertVastVersion(vast42, "4.0", { fidelity }), /<AdServingId>/, `fidelity ${fidelity}`);
+    assert.match(convertVastVersion(vast42, "4.1", { fidelity }), /<AdServingId>serving-1<\/AdServingId>/, `fidelity ${fidelity}`);
+  }
+});
+
+test("a document already at the target version keeps its nodes", () => {
+  const xml = convertVastVersion(vast42, "4.2");
+  for (const kept of ["<Category", "<Mezzanine", "<UniversalAdId", "<AdVerifications>"]) assert.ok(xml.includes(kept), kept);
+});
+
+test("every VAST inside a VMAP playlist is converted", () => {
+  const vmap = `<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0"><vmap:AdBreak timeOffset="start" breakType="linear" breakId="pre"><vmap:AdSource id="s"><vmap:VASTAdData>${vast42}</vmap:VASTAdData></vmap:AdSource></vmap:AdBreak></vmap:VMAP>`;
+  const xml = convertVastVersion(vmap, "3.0");
+  assert.match(xml, /<vmap:VASTAdData><VAST version="3.0">/);
+  assert.doesNotMatch(xml, /<Category/);
+});
@@ -0,0 +1,76 @@
+// test/vmap.test.mjs — VMAP playlists: every ad break resolved to Inline VAST in place
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, inline, wrapper } from "./helpers.mjs";
+
+process.env.HOP_ALLOW_PRIVATE = "1";
+const { resolveToInlineWithMeta, VAST_ERROR } = await import("../lib/resolver.mjs");
+
+const NS = 'xmlns:vmap="http://www.iab.net/videosuite/vmap"';
+const adBreak = (id, offset, source, extra = "") =>
+  `<vmap:AdBreak timeOffset="${offset}" breakType="linear" breakId="${id}">${source}${extra}</vmap:AdBreak>`;
+const tagSource = (url, attrs = "") =>
+  `<vmap:AdSource id="${url.split("/").pop()}" ${attrs}><vmap:AdTagURI templateType="vast3"><![CDATA[${url}]]></vmap:AdTagURI></vmap:AdSource>`;
+const dataSource = vast => `<vmap:AdSource id="data"><vmap:VASTAdData>${vast}</vmap:VASTAdData></vmap:AdSource>`;
+const vmap = (...breaks) => `<vmap:VMAP ${NS} version="1.0">${breaks.join("")}</vmap:VMAP>`;
+const tracking = '<vmap:TrackingEvents><vmap:Tracking event="breakStart">http://t/break-start</vmap:Tracking></vmap:TrackingEvents>';
+
+const server = await startServer({
+  playlist: () => vmap(
+    adBreak("pre", "start", tagSource("{{BASE}}/pre-wrapper"), tracking),
+    adBreak("mid", "00:10:00.000", dataSource(wrapper("{{BASE}}/mid-inline", "http://w/imp?mid")))
+  ),
+  "pre-wrapper": () => wrapper("{{BASE}}/pre-inline", "http://w/imp?pre"),
+  "pre-inline": () => inline("http://t/imp?pre"),
+  "mid-inline": () => inline("http://t/imp?mid"),
+  "half-broken": () => vmap(adBreak("pre", "start", tagSource("{{BASE}}/pre-inline")), adBreak("post", "end", tagSource("{{BASE}}/missing"))),
+  "all-broken": () => vmap(adBreak("post", "end", tagSource("{{BASE}}/missing"))),
+  "no-redirects": () => vmap(adBreak("pre", "start", tagSource("{{BASE}}/pre-wrapper", 'followRedirects="false"'))),
+  nested: () => vmap(adBreak("pre", "start", tagSource("{{BASE}}/playlist").replace("vast3", "vmap")))
+});
+after(() => server.close());
+
+test("each break's AdTagURI or VASTAdData becomes Inline VAST; break attributes and tracking stay", async () => {
+  const out = await resolveToInlineWithMeta(`${server.base}/playlist`);
+  assert.doesNotMatch(out.xml, /AdTagURI|<Wrapper>/);
+  assert.equal(out.xml.match(/<vmap:VASTAdData>\s*<VAST[^>]*>\s*<Ad[^>]*>\s*<InLine>/g).length, 2);
+  assert.match(out.xml, /<vmap:AdBreak timeOffset="start" breakType="linear" breakId="pre">/);
+  assert.match(out.xml, /<vmap:Tracking event="breakStart">http:\/\/t\/break-start<\/vmap:Tracking>/);
+  // wrapper impressions are merged in, per break
+  for (const imp of ["t/imp?pre", "w/imp?pre", "t/imp?mid", "w/imp?mid"]) assert.ok(out.xml.includes(`http://${imp}`), imp);
+
+  assert.deepEqual(out.breaks, [
+    { breakId: "pre", timeOffset: "start", source: "AdTagURI", depth: 1 },
+    { breakId: "mid", timeOffset: "00:10:00.000", source: "VASTAdData", depth: 1 }
+  ]);
+  assert.deepEqual(out.ads.map(a => a.breakId), ["pre", "mid"]);
+});
+
+test("a break that cannot be resolved keeps its AdSource; the others are served", async () => {
+  const out = await resolveToInlineWithMeta(`${server.base}/half-broken`);
+  assert.match(out.xml, /<vmap:AdTagURI templateType="vast3">(<!\[CDATA\[)?http:\/\/127\.0\.0\.1:\d+\/missing/);
+  assert.match(out.xml, /http:\/\/t\/imp\?pre/);
+  const [pre, post] = out.breaks;
+  assert.equal(pre.source, "AdTagURI");
+  assert.equal(pre.error, undefined);
+  assert.equal(post.code, VAST_ERROR.WRAPPER_TIMEOUT);
+  assert.ok(post.error);
+});
+
+test("a playlist where no break resolves fails like a broken chain", async () => {
+  const err = await resolveToInlineWithMeta(`${server.base}/all-broken`).catch(e => e);
+  assert.ok(err instanceof Error);
+  assert.match(err.message, /^No VMAP break could be resolved/);
+  assert.equal(err.vastCode, VAST_ERROR.WRAPPER_TIMEOUT);
+});
+
+test("the AdSource's followRedirects applies to the chain behind it", async () => {
+  const err = await resolveToInlineWithMeta(`${server.base}/no-redirects`).catch(e => e);
+  assert.equal(err.vastCode, VAST_ERROR.WRAPPER_LIMIT);
+});
+
+test("a nested VMAP is skipped, and vmap: false refuses playlists", async () => {
+  const out = await resolveToInlineWithMeta(`${server.base}/nested`);
+  assert.deepEqual(out.breaks, [{ breakId: "pre", timeOffset: "start", source: "AdTagURI", skipped: "nested VMAP" }]);
+  await assert.rejects(resolveToInlineWithMeta(`${server.base}/playlist?novmap`, { vmap: false }));
+});